@@ -0,0 +1,129 @@
+/*
+  Makes sure every file we generate passes the `--lint` config out of the box.
+
+  An app is generated (without installing anything) for every combination of options
+  in a temporary directory. The dependencies of all of them - the `--pin` versions, from
+  the lockfile `--pin` ships - are installed once, shared, & then each app is linted
+  with its own `lint` script.
+
+    node checkLint.js
+*/
+
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const chalk = require('chalk')
+const run = require('./modules/run')
+const planFiles = require('./modules/planFiles')
+const { everyDependency } = require('./modules/everyPackage')
+const { databases, databaseOf, databaseFlags } = require('./modules/database')
+
+const root = path.join(os.tmpdir(), 'cna-check-lint')
+const base = {
+  appName: 'lint-check',
+  title: '',
+  description: '',
+  author: '',
+  email: '',
+  keywords: [],
+  pm: 'npm',
+  api: null,
+  apiPort: 3000,
+  devServerPort: 8080,
+  lint: true,
+  pin: true
+}
+
+// Every combination of the options that change which files are generated.
+const combinations = []
+for (const redux of [false, true]) {
+  for (const router of [false, true]) {
+    for (const server of ['', 'express', ...Object.keys(databases)]) {
+      for (const typescript of [false, true]) {
+        for (const tests of [false, true]) {
+          // `--monorepo` apps get every package.
+          for (const monorepo of server ? [false, true] : [false]) {
+            combinations.push({
+              ...base,
+              redux,
+              router,
+              express: !!server,
+              ...databaseFlags(server),
+              server: !!server,
+              typescript,
+              tests,
+              monorepo,
+              shared: monorepo
+            })
+          }
+        }
+      }
+    }
+  }
+}
+
+installDependencies()
+
+const failures = combinations.filter((options, i) => {
+  const name = nameOf(options)
+  const appDir = path.join(root, name)
+  writeApp({ ...options, appDir })
+
+  console.log(`${chalk.yellow(i + 1)} of ${chalk.green(combinations.length)} - linting ${chalk.blue(name)}`)
+
+  try {
+    run('npm run lint --silent', false, appDir)
+    return false
+  } catch (e) {
+    return true
+  }
+})
+
+if (failures.length) {
+  console.log(chalk.red(`\n${failures.length} of ${combinations.length} apps have lint errors:`))
+  failures.forEach(options => console.log(`  ${path.join(root, nameOf(options))}`))
+  process.exit(1)
+}
+
+console.log(chalk.green(`\nAll ${combinations.length} apps pass!`))
+
+// E.x. - `redux-router-mongo-typescript-tests-monorepo`
+function nameOf(options) {
+  const { redux, router, express, typescript, tests, monorepo } = options
+  const server = databaseOf(options) || (express && 'express')
+  return [redux && 'redux', router && 'router', server, typescript && 'typescript', tests && 'tests', monorepo && 'monorepo']
+    .filter(Boolean)
+    .join('-') || 'plain'
+}
+
+// Writes an app's files & links the shared `node_modules`.
+function writeApp(options) {
+  const { appDir } = options
+  fs.removeSync(appDir)
+
+  planFiles(options).forEach(({ file, contents, source, dir }) => {
+    const destination = path.join(appDir, file)
+
+    if (dir) return fs.mkdirpSync(destination)
+    if (source) return fs.copySync(source, destination)
+    fs.outputFileSync(destination, contents)
+  })
+
+  fs.symlinkSync(path.join(root, 'node_modules'), path.join(appDir, 'node_modules'))
+}
+
+// Every app's dependencies in one place. Only installs when they've changed since the last run.
+function installDependencies() {
+  const packageJson = path.join(root, 'package.json')
+  const dependencies = everyDependency(base)
+  const previous = fs.existsSync(packageJson) && fs.readJsonSync(packageJson).dependencies
+
+  if (JSON.stringify(previous) === JSON.stringify(dependencies)) return
+
+  console.log('Installing every generated dependency...')
+  fs.outputJsonSync(packageJson, { private: true, dependencies }, { spaces: 2 })
+  fs.copySync(path.join(__dirname, 'files/pinned/npm-lockfile.json'), path.join(root, 'package-lock.json'))
+
+  // Nothing is built or run - the packages only need to be there for ESLint to resolve.
+  run('npm install --ignore-scripts --no-audit --no-fund', false, root)
+}
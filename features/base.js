@@ -0,0 +1,101 @@
+// Every app (other than sandbox apps) starts with these.
+
+const { dotEnv, environments } = require('../file-creators/dotEnv')
+const envExample = require('../file-creators/envExample')
+const envSchema = require('../file-creators/envSchema')
+const packageJson = require('../file-creators/packageJson')
+const webpackConfig = require('../file-creators/webpackConfig')
+const { databaseOf, databaseFlags } = require('../modules/database')
+
+module.exports = {
+  name: 'base',
+  when: () => true,
+
+  variables: options => ({
+    component: 'App', // The top-level component.
+    js: 'js', // File extensions - changed by `--typescript`.
+    jsx: 'jsx',
+    monorepo: !!options.monorepo, // Missing from the options of projects created before `--monorepo`.
+    ...databaseFlags(databaseOf(options)) // E.x. `// @@if sqlite@@` - missing from projects created before `--db`.
+  }),
+
+  files: ({ component, jsx, typescript }) => [
+    { to: '.env', create: options => dotEnv(options) },
+    ...environments.map(environment => ({ to: `.env.${environment}`, create: options => dotEnv(options, environment) })),
+    { to: '.env.local', create: options => dotEnv(options, 'local') },
+    { to: '.env.example', create: envExample },
+    { to: 'env.js', create: envSchema },
+    { from: 'gitignore.txt', to: '.gitignore' },
+    { to: 'package.json', create: packageJson },
+    { from: 'postcss.config.js', to: 'postcss.config.js' },
+    { from: 'README.md', to: 'README.md' },
+    { to: 'webpack.config.js', create: webpackConfig },
+    { from: 'after-compile-plugin.js', to: 'after-compile-plugin.js' },
+    { from: 'dist', to: 'dist' },
+    { from: 'src/assets', to: 'src/assets' },
+    { from: 'src/styles', to: 'src/styles' },
+    { from: 'src/index.ejs', to: 'src/index.ejs' },
+    { from: 'src/entry.js', to: `src/entry.${typescript ? 'tsx' : 'js'}`, render: true },
+    { from: 'src/components/App.jsx', to: `src/components/${component}.${jsx}`, render: true }
+  ],
+
+  webpack: {
+    alias: {
+      components: 'src/components',
+      assets: 'src/assets'
+    }
+  },
+
+  devDependencies: {
+    // MAIN
+    react: '^16',
+    'react-dom': '^16',
+    sassyons: '^2',
+
+    // POSTCSS
+    // https://cssnano.co/optimisations/ - list of plugins.
+    'postcss-loader': '^3',
+    postcss: '^7',
+    cssnano: '^4',
+    '@fullhuman/postcss-purgecss': '^1', // https://goo.gl/igXRk6 - why we're using purge-css *here* and not as a Webpack plugin.
+    'purgecss-whitelister': 'latest', // Always install latest.
+    'postcss-discard-comments': '^4',
+    'css-mqpacker': '^7',
+    'postcss-combine-duplicated-selectors': '^6',
+    autoprefixer: '^9',
+    'postcss-colormin': '^4',
+    'css-declaration-sorter': '^4',
+
+    // WEBPACK
+    webpack: '^4',
+    'webpack-cli': '^3',
+    'webpack-dev-server': '^3',
+    'mini-css-extract-plugin': '^0', // Currently < 1
+    'clean-webpack-plugin': '^1',
+    'html-webpack-plugin': '^3',
+    'glob-all': 'latest', // Always install latest.
+    'file-loader': '^2',
+    'css-loader': '^1', // Still included to allow users to choose.
+    'fast-css-loader': '^1',
+    'sass-loader': '^7', // Still included to allow users to choose.
+    'fast-sass-loader': '^1',
+    'node-sass': '^4',
+    'style-loader': '^0', // Currently < 1
+    'terser-webpack-plugin': '^1',
+
+    // BABEL - https://goo.gl/ESXgmh
+    'babel-loader': '^8',
+    '@babel/core': '^7',
+    '@babel/preset-env': '^7',
+    '@babel/preset-react': '^7',
+    '@babel/plugin-proposal-object-rest-spread': '^7',
+    '@babel/plugin-proposal-class-properties': '^7',
+    '@babel/plugin-syntax-dynamic-import': '^7',
+    '@babel/polyfill': '^7',
+
+    // OTHER
+    'cross-env': '^5',
+    'npm-run-all': 'latest', // Always install latest.
+    dotenv: 'latest' // Always install latest.
+  }
+}
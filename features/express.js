@@ -0,0 +1,23 @@
+// `--express` (or `--db`) - an Express api server for Webpack to proxy.
+
+const { databaseOf } = require('../modules/database')
+
+module.exports = {
+  name: 'express',
+  when: options => options.express || !!databaseOf(options),
+
+  files: ({ js }) => [
+    { from: 'server.js', to: `server.${js}`, render: true },
+    { from: 'api/home.js', to: `api/home.${js}`, render: true }
+  ],
+
+  // These will be saved in `package.json` as `dependencies`.
+  dependencies: {
+    express: '^4',
+    helmet: '^3',
+    compression: '^1',
+    'body-parser': '^1',
+    dotenv: 'latest', // `env.js` loads the `.env` files in production too. Always install latest.
+    nodemon: 'latest' // Always install latest.
+  }
+}
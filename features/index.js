@@ -0,0 +1,46 @@
+/*
+  Feature manifests
+  -----------------
+
+  Each feature declares everything it contributes to an app. All properties other
+  than `name` & `when` are optional. See `modules/composeFeatures.js` for how
+  they're put together.
+
+  name            - used for reporting
+  when            - options => whether the feature is part of the app
+  standalone      - when enabled, the only feature used (e.x. sandbox)
+  variables       - options => template variables (see `modules/renderTemplate.js`)
+  files           - variables => a list of files to create. Later features override
+                    earlier ones writing to the same location. Each is one of:
+                      { from, to }         - copy a file or folder from `files`
+                      { from, to, render } - render a template from `files`
+                      { to, create }       - options => generated contents
+                      { to, patch }        - (contents, variables) => new contents
+                                             for a file added by an earlier feature
+  webpack.alias   - aliases for `resolve.alias` in `webpack.config.js`
+  webpack.rules   - extra `module.rules`, as objects (RegExp's are fine) or source strings
+  devDependencies - package name => version (or variables => that)
+  dependencies    - package name => version (or variables => that), only used by
+                    apps with a server
+  hooks           - `beforeInstall` & `afterInstall` functions, called with `(options, emit)`
+  layout          - (file, variables) => where a file from any feature really goes - e.x.
+                    `--monorepo` moving `src/entry.js` to `packages/client/src/entry.js`
+
+  The order here matters - it's the order files, aliases & variables are applied.
+*/
+
+module.exports = [
+  require('./base'),
+  require('./redux'),
+  require('./router'),
+  require('./express'),
+  require('./mongo'),
+  require('./sqlite'),
+  require('./postgres'),
+  require('./typescript'),
+  require('./tests'),
+  require('./lint'),
+  require('./monorepo'),
+  require('./pin'),
+  require('./sandbox')
+]
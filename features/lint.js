@@ -0,0 +1,33 @@
+/*
+  `--lint` - ESLint & Prettier, with `lint` & `format` scripts.
+
+  ESLint only checks for problems - `eslint-config-prettier` turns off its formatting
+  rules & leaves the formatting to Prettier. `checkLint.js` (in this repo) makes sure
+  every generated file passes out of the box.
+*/
+
+const eslintrc = require('../file-creators/eslintrc')
+
+module.exports = {
+  name: 'lint',
+  when: ({ lint }) => lint,
+
+  files: () => [
+    { to: '.eslintrc.js', create: eslintrc },
+    { from: 'lint/prettierrc.json', to: '.prettierrc' },
+    { from: 'lint/prettierignore', to: '.prettierignore' }
+  ],
+
+  devDependencies: ({ typescript }) => ({
+    eslint: '^8',
+    'eslint-plugin-react': '^7',
+    'eslint-plugin-import': '^2',
+    'eslint-import-resolver-alias': '^1',
+    'eslint-config-prettier': '^9',
+    prettier: '^3',
+    ...(typescript && {
+      '@typescript-eslint/parser': '^8',
+      '@typescript-eslint/eslint-plugin': '^8'
+    })
+  })
+}
@@ -0,0 +1,19 @@
+// `--db mongo` (or `--mongo`) - MongoDB wired up to the Express server, including sessions.
+
+module.exports = {
+  name: 'mongo',
+  when: ({ mongo }) => mongo,
+
+  files: ({ js }) => [
+    { from: 'server-db.js', to: `server.${js}`, render: true },
+    { from: 'api/utilities/catchy.js', to: `api/utilities/catchy.${js}` },
+    { from: 'api/utilities/handleErrors.js', to: `api/utilities/handleErrors.${js}`, render: true },
+    { from: 'api/utilities/mongo.js', to: `api/utilities/mongo.${js}` }
+  ],
+
+  dependencies: {
+    mongodb: '^3',
+    'connect-mongodb-session': '^2',
+    'express-session': '^1'
+  }
+}
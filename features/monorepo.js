@@ -0,0 +1,67 @@
+/*
+  `--monorepo` - the front end & the Express server as separate packages in one repo,
+  rather than a single `package.json` for everything:
+
+    packages/client - Webpack, `src` & `dist`
+    packages/server - `server.js` & `api`, with the server's `dependencies`
+    packages/shared - code both of them import (`--shared`)
+
+  Every other feature writes its files as usual & `layout` moves them into their package.
+  The root keeps `.env`, the TypeScript, Jest & ESLint configs, the scripts that run the
+  packages & every `devDependency` - Node finds those from any package, so the server's
+  own `package.json` is all it needs in production.
+*/
+
+const { clientPackageJson, serverPackageJson, sharedPackageJson } = require('../file-creators/workspacePackageJson')
+
+const client = ['webpack.config.js', 'postcss.config.js', 'after-compile-plugin.js', 'dist', 'src']
+const server = ['server.js', 'server.ts', 'env.js', 'env.d.ts', 'api']
+
+// Tests for the server's modules (see `tests.js`) - the others test the client.
+const serverTests = /^tests\/(home|catchy|handleErrors)\.test\./
+
+module.exports = {
+  name: 'monorepo',
+  when: ({ monorepo }) => monorepo,
+
+  files: ({ pm, shared, typescript }) => [
+    { to: 'packages/client/package.json', create: clientPackageJson },
+    { to: 'packages/server/package.json', create: serverPackageJson },
+    ...(pm === 'pnpm' ? [
+      { from: 'monorepo/pnpm-workspace.yaml', to: 'pnpm-workspace.yaml' }
+    ] : []),
+    ...(shared ? [
+      { to: 'packages/shared/package.json', create: sharedPackageJson },
+      { from: 'monorepo/shared/index.js', to: 'packages/shared/index.js', render: true },
+      ...(typescript ? [{ from: 'monorepo/shared/index.d.ts', to: 'packages/shared/index.d.ts' }] : [])
+    ] : []),
+
+    // `dist/*` only matches the root `dist` folder.
+    { to: '.gitignore', patch: contents => contents.replace(/^(!?)dist\//gm, '$1packages/client/dist/') },
+    { to: 'README.md', patch: (contents, { shared }) => `${contents}${readme(shared)}` }
+  ],
+
+  layout: file => {
+    const [top] = file.split('/')
+
+    if (server.includes(top) || serverTests.test(file)) return `packages/server/${file}`
+    if (client.includes(top) || top === 'tests') return `packages/client/${file}`
+    return file
+  }
+}
+
+function readme(shared) {
+  return [
+    '',
+    '## Packages',
+    '',
+    '- `packages/client` - the front end, built by Webpack into `packages/client/dist`',
+    '- `packages/server` - the Express server, which serves that build in production',
+    shared && '- `packages/shared` - code both the client & the server import',
+    '',
+    'Run the scripts in the root `package.json` - they run the ones in each package.',
+    'The server\'s dependencies are in `packages/server/package.json`. Everything else - React,',
+    'Webpack & the other tools - is installed in the root.',
+    ''
+  ].filter(value => value !== false).join('\n')
+}
@@ -0,0 +1,14 @@
+/*
+  `--pin` - exact versions from `versions.json` (see `modules/dependencies.js`) & for npm,
+  the lockfile they were tested with so the dependencies' dependencies are pinned too.
+  npm only keeps the parts of it the app needs. yarn & pnpm write their own lockfiles.
+*/
+
+module.exports = {
+  name: 'pin',
+  when: ({ pin, pm }) => pin && pm === 'npm',
+
+  files: () => [
+    { from: 'pinned/npm-lockfile.json', to: 'package-lock.json' }
+  ]
+}
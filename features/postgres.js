@@ -0,0 +1,19 @@
+// `--db postgres` - PostgreSQL wired up to the Express server, including sessions.
+
+module.exports = {
+  name: 'postgres',
+  when: ({ postgres }) => postgres,
+
+  files: ({ js }) => [
+    { from: 'server-db.js', to: `server.${js}`, render: true },
+    { from: 'api/utilities/catchy.js', to: `api/utilities/catchy.${js}` },
+    { from: 'api/utilities/handleErrors.js', to: `api/utilities/handleErrors.${js}`, render: true },
+    { from: 'api/utilities/postgres.js', to: `api/utilities/postgres.${js}` }
+  ],
+
+  dependencies: {
+    pg: '^8',
+    'connect-pg-simple': '^9',
+    'express-session': '^1'
+  }
+}
@@ -0,0 +1,34 @@
+// `--redux` - a store, reducers, actions & a connected top-level component.
+
+module.exports = {
+  name: 'redux',
+  when: ({ redux }) => redux,
+
+  variables: ({ router }) => ({
+    reducer: router ? 'home' : 'app' // The reducer backing the top-level component.
+  }),
+
+  files: ({ component, reducer, js, jsx }) => [
+    { from: 'redux/store.js', to: `src/store.${js}`, render: true },
+    { from: 'redux/utils/actions/index.js', to: `src/utils/actions/index.${js}` },
+    { from: 'redux/utils/helpers/index.js', to: `src/utils/helpers/index.${js}` },
+    { from: 'redux/utils/middleware', to: 'src/utils/middleware' },
+    { from: 'redux/utils/reducers/reducer.js', to: `src/utils/reducers/${reducer}Reducer.${js}`, render: true },
+    { from: 'redux/App.jsx', to: `src/components/${component}.${jsx}`, render: true }
+  ],
+
+  webpack: {
+    alias: {
+      actions: 'src/utils/actions',
+      helpers: 'src/utils/helpers',
+      middleware: 'src/utils/middleware',
+      reducers: 'src/utils/reducers',
+      utils: 'src/utils'
+    }
+  },
+
+  devDependencies: {
+    redux: '^4',
+    'react-redux': '^5'
+  }
+}
@@ -0,0 +1,19 @@
+// `--router` - React Router with a home page & a 404 page.
+
+module.exports = {
+  name: 'router',
+  when: ({ router }) => router,
+
+  variables: () => ({
+    component: 'Home'
+  }),
+
+  files: ({ jsx }) => [
+    { from: 'router/NotFound.jsx', to: `src/components/NotFound.${jsx}` }
+  ],
+
+  devDependencies: {
+    'react-router-dom': '^4',
+    history: '^4'
+  }
+}
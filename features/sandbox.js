@@ -0,0 +1,11 @@
+// `--sandbox` - just an html, css & js file. Nothing else gets created.
+
+module.exports = {
+  name: 'sandbox',
+  when: ({ sandbox }) => sandbox,
+  standalone: true, // Ignore every other feature.
+
+  files: () => [
+    { from: 'sandbox', to: '' }
+  ]
+}
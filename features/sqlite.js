@@ -0,0 +1,24 @@
+/*
+  `--db sqlite` - SQLite wired up to the Express server, including sessions. The database
+  is a file next to `server.js` (see `sqliteFile` in the `.env` files), so there's nothing
+  else to install or run.
+*/
+
+module.exports = {
+  name: 'sqlite',
+  when: ({ sqlite }) => sqlite,
+
+  files: ({ js }) => [
+    { from: 'server-db.js', to: `server.${js}`, render: true },
+    { from: 'api/utilities/catchy.js', to: `api/utilities/catchy.${js}` },
+    { from: 'api/utilities/handleErrors.js', to: `api/utilities/handleErrors.${js}`, render: true },
+    { from: 'api/utilities/sqlite.js', to: `api/utilities/sqlite.${js}` }
+  ],
+
+  dependencies: {
+    sqlite3: '^5',
+    sqlite: '^5', // Promises for `sqlite3` - https://github.com/kriasoft/node-sqlite
+    'connect-sqlite3': '^0', // Currently < 1
+    'express-session': '^1'
+  }
+}
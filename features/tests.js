@@ -0,0 +1,44 @@
+/*
+  `--tests` - Jest, a `jest.config.js` & starter tests for whatever else the app has.
+
+  Webpack's Babel options live in `webpack.config.js`, which Jest doesn't read, so
+  `babel.config.js` gives Jest its own. Tests for `api` modules run in Node rather
+  than jsdom (see the `@jest-environment` comment at the top of each).
+*/
+
+const jestConfig = require('../file-creators/jestConfig')
+const { databaseOf } = require('../modules/database')
+
+module.exports = {
+  name: 'tests',
+  when: ({ tests }) => tests,
+
+  files: ({ js, jsx, component, reducer, redux, router, server, ...variables }) => [
+    { to: 'jest.config.js', create: jestConfig },
+    { from: 'tests/babel.config.js', to: 'babel.config.js', render: true },
+    ...(redux ? [
+      { from: 'tests/reducer.test.js', to: `tests/${reducer}Reducer.test.${js}`, render: true },
+      { from: 'tests/actions.test.js', to: `tests/actions.test.${js}`, render: true }
+    ] : []),
+    router
+      ? { from: 'tests/routes.test.jsx', to: `tests/routes.test.${jsx}`, render: true }
+      : { from: 'tests/App.test.jsx', to: `tests/${component}.test.${jsx}`, render: true },
+    ...(server ? [
+      { from: 'tests/home.test.js', to: `tests/home.test.${js}`, render: true }
+    ] : []),
+    ...(databaseOf(variables) ? [
+      { from: 'tests/catchy.test.js', to: `tests/catchy.test.${js}` },
+      { from: 'tests/handleErrors.test.js', to: `tests/handleErrors.test.${js}`, render: true }
+    ] : [])
+  ],
+
+  devDependencies: ({ server, typescript }) => ({
+    jest: '^29',
+    'babel-jest': '^29',
+    'jest-environment-jsdom': '^29',
+    '@testing-library/react': '^12', // The last version supporting React 16.
+    ...(server && { supertest: '^6' }),
+    ...(typescript && { '@types/jest': '^29' }),
+    ...(server && typescript && { '@types/supertest': '^2' })
+  })
+}
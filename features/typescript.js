@@ -0,0 +1,81 @@
+/*
+  `--typescript` - `.ts` & `.tsx` files, a `tsconfig.json` & a `typecheck` script.
+
+  Babel strips the types while Webpack bundles (see `webpack.config.js`) & `tsc` checks
+  them. Files that are already valid TypeScript are simply given the new extensions
+  by their own features - the ones below need types so they're replaced with their
+  versions from `files/typescript`.
+*/
+
+const tsconfig = require('../file-creators/tsconfig')
+const { databaseOf } = require('../modules/database')
+
+module.exports = {
+  name: 'typescript',
+  when: ({ typescript }) => typescript,
+
+  variables: () => ({
+    js: 'ts',
+    jsx: 'tsx'
+  }),
+
+  files: ({ component, reducer, redux, server, ...variables }) => {
+    const db = databaseOf(variables)
+
+    return [
+      { to: 'tsconfig.json', create: tsconfig },
+      { from: 'typescript/src/declarations.d.ts', to: 'src/declarations.d.ts' },
+      ...(redux ? [
+        { from: 'typescript/redux/store.ts', to: 'src/store.ts', render: true },
+        { from: 'typescript/redux/App.tsx', to: `src/components/${component}.tsx`, render: true },
+        { from: 'typescript/redux/utils/helpers/index.ts', to: 'src/utils/helpers/index.ts' },
+        { from: 'typescript/redux/utils/reducers/reducer.ts', to: `src/utils/reducers/${reducer}Reducer.ts`, render: true }
+      ] : []),
+      ...(server ? [
+        { from: `typescript/${db ? 'server-db.ts' : 'server.ts'}`, to: 'server.ts', render: true },
+        { from: 'typescript/api/home.ts', to: 'api/home.ts', render: true },
+        { from: 'typescript/env.d.ts', to: 'env.d.ts' }
+      ] : []),
+      ...(db ? [
+        { from: 'typescript/api/utilities/catchy.ts', to: 'api/utilities/catchy.ts' },
+        { from: 'typescript/api/utilities/handleErrors.ts', to: 'api/utilities/handleErrors.ts', render: true },
+        { from: `typescript/api/utilities/${db}.ts`, to: `api/utilities/${db}.ts` }
+      ] : [])
+    ]
+  },
+
+  devDependencies: ({ redux, router, server, mongo, sqlite, postgres }) => ({
+    typescript: '^5',
+    '@babel/preset-typescript': '^7',
+    '@types/react': '^16',
+    '@types/react-dom': '^16',
+    '@types/node': '^10', // `process.env` - the browser bundle gets some too (see `webpack.config.js`).
+    ...(redux && { '@types/react-redux': '^5' }),
+    ...(router && { '@types/react-router-dom': '^4' }),
+    ...(server && {
+      '@types/express': '^4',
+      '@types/helmet': '^0', // Currently < 1
+      '@types/compression': '^1',
+      '@types/body-parser': '^1'
+    }),
+    ...(mongo && {
+      '@types/mongodb': '^3',
+      '@types/express-session': '^1',
+      '@types/connect-mongodb-session': '^2'
+    }),
+    ...(sqlite && {
+      '@types/express-session': '^1',
+      '@types/connect-sqlite3': '^0' // Currently < 1 - `sqlite3` & `sqlite` have their own.
+    }),
+    ...(postgres && {
+      '@types/pg': '^8',
+      '@types/express-session': '^1',
+      '@types/connect-pg-simple': '^7'
+    })
+  }),
+
+  // `nodemon` runs `server.ts` through `ts-node`.
+  dependencies: {
+    'ts-node': '^10'
+  }
+}
@@ -1,8 +1,23 @@
-// https://goo.gl/MrXVRS - micro UUID!
-const uuid = a=>a?(a^Math.random()*16>>a/4).toString(16):([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g,uuid)
+/*
+  The `.env` files. `.env` has what every environment shares, secrets included, and is git
+  ignored. Each `NODE_ENV` gets its own file on top of it, which is committed - e.x. the
+  test database in `.env.test`. `.env.local` is for your own overrides & is git ignored too.
+  The app's `env.js` loads them in that order of precedence.
+*/
 
-function dotEnv(options) {
-  const { appName, devServerPort, api, apiPort, mongo, server, title, description } = options
+const { generateSecret } = require('../modules/generateSecret')
+const { databaseOf } = require('../modules/database')
+
+// Each has its own `.env.<environment>` file.
+const environments = ['development', 'test', 'production']
+
+// E.x. - dotEnv(options) for `.env`, dotEnv(options, 'test') for `.env.test`.
+function dotEnv(options, environment) {
+  if (environment === 'local') return localEnv()
+  if (environment) return environmentEnv(options, environment)
+
+  const { appName, devServerPort, api, apiPort, server, title, description, secretLength } = options
+  const db = databaseOf(options)
   const warning = [
     '# THIS FILE WILL BE GIT IGNORED.',
     '# IT IS HIGHLY RECOMMENDED THAT YOU DO NOT COMMIT THIS FILE INTO VERSION CONTROL.',
@@ -21,12 +36,49 @@ function dotEnv(options) {
 
   return [
     ...warning,
-    mongo && `mongoURI=mongodb://localhost:27017/${appName}`,
-    mongo && `mongoSession=${appName}Sessions`,
-    mongo && `secret=${uuid()}`,
-    mongo && !api && `API=/api`, // Default api value if none was specified.
+    db && sessions[db](appName),
+    db && `secret=${generateSecret(secretLength)}`,
     ...contents
   ].filter(Boolean).join('\n')
 }
 
-module.exports = dotEnv
+// Where each database keeps its sessions - a SQL table is named like any other.
+const sessions = {
+  mongo: appName => `mongoSession=${appName}Sessions`,
+  sqlite: () => 'sqliteSession=sessions',
+  postgres: () => 'postgresSession=sessions'
+}
+
+// A database per environment. Development keeps the one apps have always had, so existing data is still there.
+const databases = appName => ({
+  development: appName,
+  test: `${appName}-test`,
+  production: `${appName}-production`
+})
+
+// E.x. - connections.sqlite('my-app-test') => 'sqliteFile=my-app-test.sqlite'
+const connections = {
+  mongo: database => `mongoURI=mongodb://localhost:27017/${database}`,
+  sqlite: database => `sqliteFile=${database}.sqlite`,
+  postgres: database => `postgresURI=postgres://localhost:5432/${database}`
+}
+
+function environmentEnv(options, environment) {
+  const db = databaseOf(options)
+  const lines = [
+    `# Used when NODE_ENV=${environment} - these take precedence over \`.env\`.`,
+    '# This file is committed, so keep secrets in `.env` (or your host\'s environment config).',
+    ...(db ? ['', connections[db](databases(options.appName)[environment])] : [])
+  ]
+
+  return `${lines.join('\n')}\n`
+}
+
+function localEnv() {
+  return [
+    '# Your own overrides for every environment but `test` - e.x. a different `mongoURI`.',
+    '# These take precedence over `.env` & the file for the environment. Git ignored.\n'
+  ].join('\n')
+}
+
+module.exports = { dotEnv, environments }
@@ -0,0 +1,39 @@
+// `.env.example` - committed, unlike `.env`, so whoever clones the project knows what to set.
+
+const parseEnv = require('../modules/parseEnv')
+const { dotEnv } = require('./dotEnv')
+const envVariables = require('../modules/envVariables')
+
+// Values with spaces keep the quotes `dotEnv.js` gave them - e.x. description='...'
+const quote = value => /\s/.test(value) ? `'${value}'` : value
+
+const sides = { server: 'the server', webpack: 'Webpack\'s dev server' }
+
+function envExample(options) {
+  const env = parseEnv(dotEnv(options))
+  const variables = envVariables(options)
+  const header = [
+    '# Every environment variable the app uses. Copy this file to `.env` & fill in the blanks.',
+    '# `.env.development`, `.env.test` & `.env.production` add the ones that differ per environment.',
+    '# Commit this file, but never `.env` - keep real secrets out of version control.',
+    '# `appName`, `title`, `description`, `API` & anything starting with `PUBLIC_` are put in the',
+    '# browser bundle as `process.env.X` (see `webpack.config.js`) - never give a secret that prefix.',
+    '# In production, set these in your host\'s environment config instead.\n\n'
+  ]
+
+  const entries = Object.keys(variables).map(key => {
+    const { description, required, secret } = variables[key]
+    const needed = required.length ? [`# Required by ${required.map(side => sides[side]).join(' & ')}.`] : []
+
+    // E.x. `mongoURI` - set in `.env.development`, `.env.test` & `.env.production` already.
+    if (!(key in env) && !secret) {
+      return [`# ${description}`, ...needed, '# Set for each environment in `.env.<NODE_ENV>` - override it in `.env.local`.', `# ${key}=`].join('\n')
+    }
+
+    return [`# ${description}`, ...needed, `${key}=${secret ? '' : quote(env[key])}`].join('\n')
+  })
+
+  return `${header.join('\n')}${entries.join('\n\n')}\n`
+}
+
+module.exports = envExample
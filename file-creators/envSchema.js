@@ -0,0 +1,24 @@
+// `env.js` - loads the `.env` files & checks `process.env` against what `.env.example` describes (see `envVariables.js`).
+
+const fs = require('fs')
+const path = require('path')
+const renderTemplate = require('../modules/renderTemplate')
+const envVariables = require('../modules/envVariables')
+
+function envSchema(options) {
+  const variables = envVariables(options)
+  const template = fs.readFileSync(path.resolve(__dirname, '../files/env.js'), 'utf-8')
+
+  // E.x. - `API_PORT: { type: 'port', required: ['server'] },` with its description above it.
+  const entries = Object.keys(variables).map(key => {
+    const { description, type, required } = variables[key]
+    const sides = required.map(side => `'${side}'`).join(', ')
+
+    return `  // ${description}\n  ${key}: { type: '${type}', required: [${sides}] }`
+  })
+
+  const schema = `{\n${entries.join(',\n')}\n}`
+  return renderTemplate(template, { schema, monorepo: !!options.monorepo }, 'env.js')
+}
+
+module.exports = envSchema
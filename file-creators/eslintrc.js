@@ -0,0 +1,76 @@
+/*
+  `--lint` - the browser (`src`) & Node (the server, `api` & config files) get their own
+  environments & the import resolver mirrors the webpack aliases so `import App from 'components/App'`
+  isn't flagged as unresolved.
+*/
+
+function eslintrc(options) {
+  const { alias, layout } = require('../modules/composeFeatures')(options)
+  const { server, typescript, tests, monorepo, shared } = options
+  const extensions = ['.js', '.jsx', ...(typescript ? ['.ts', '.tsx'] : []), '.json']
+
+  // E.x. - `['actions', './src/utils/actions']`
+  const map = Object.keys(alias).map(name => [name, `./${layout(alias[name])}`])
+
+  const overrides = [
+    {
+      files: [layout('src/**')],
+      env: { browser: true },
+      globals: { __DEV__: 'readonly', __PROD__: 'readonly', process: 'readonly' } // Webpack's `DefinePlugin`.
+    },
+    {
+      files: [
+        '.eslintrc.js',
+        '*.config.js',
+        'after-compile-plugin.js',
+        'env.js',
+        ...(server ? [`server.${typescript ? 'ts' : 'js'}`, layout('api/**')] : []),
+        ...(shared ? ['packages/shared/**'] : []) // CommonJS, so the server can `require` it too.
+      ],
+      env: { node: true }
+    },
+    tests && {
+      files: [monorepo ? 'packages/*/tests/**' : 'tests/**'],
+      env: { node: true, jest: true }
+    },
+    typescript && {
+      files: ['*.ts', '*.tsx'],
+      parser: '@typescript-eslint/parser',
+      plugins: ['@typescript-eslint'],
+      extends: ['plugin:@typescript-eslint/recommended', 'plugin:import/typescript'],
+      rules: {
+        '@typescript-eslint/no-unused-vars': ['error', { args: 'none' }],
+        '@typescript-eslint/no-unused-expressions': ['error', { allowShortCircuit: true }] // E.x. - `notProd && console.log()`
+      }
+    }
+  ].filter(Boolean)
+
+  const config = {
+    root: true,
+    extends: ['eslint:recommended', 'plugin:react/recommended', 'plugin:import/errors', 'prettier'],
+    parserOptions: {
+      ecmaVersion: 2022, // Class properties & dynamic `import()`.
+      sourceType: 'module',
+      ecmaFeatures: { jsx: true }
+    },
+    env: { es2022: true },
+    settings: {
+      react: { version: 'detect' },
+      'import/resolver': {
+        node: { extensions },
+        alias: { map, extensions }
+      }
+    },
+    rules: {
+      'no-unused-vars': ['error', { args: 'none' }], // Unused arguments document Webpack's & Express' callbacks.
+      'react/prop-types': 'off', // The components' props come from Redux & React Router.
+      'react/no-unescaped-entities': ['error', { forbid: ['>', '}'] }] // Apostrophes in text are fine.
+    },
+    ignorePatterns: ['dist'],
+    overrides
+  }
+
+  return `module.exports = ${JSON.stringify(config, null, 2)}\n`
+}
+
+module.exports = eslintrc
@@ -0,0 +1,34 @@
+// `--tests` - the module mappings mirror the webpack aliases so `import App from 'components/App'` works in tests too.
+
+function jestConfig(options) {
+  const { alias, layout } = require('../modules/composeFeatures')(options)
+
+  // `--monorepo` - the client's & the server's tests live in their packages.
+  const roots = (options.monorepo ? ['packages/client/tests', 'packages/server/tests'] : ['tests'])
+    .map(dir => `'<rootDir>/${dir}'`)
+
+  // E.x. - `actions` & `actions/...` => `src/utils/actions` & `src/utils/actions/...`
+  const mappings = Object.keys(alias).map(name => [
+    `    '^${name}$': '<rootDir>/${layout(alias[name])}',`,
+    `    '^${name}/(.*)$': '<rootDir>/${layout(alias[name])}/$1'`
+  ].join('\n'))
+
+  return `module.exports = {
+  roots: [${roots.join(', ')}],
+  testEnvironment: 'jsdom',
+
+  // The same aliases as \`webpack.config.js\`.
+  moduleNameMapper: {
+${mappings.join(',\n')}
+  },
+
+  // Normally defined by Webpack's \`DefinePlugin\`.
+  globals: {
+    __DEV__: true,
+    __PROD__: false
+  }
+}
+`
+}
+
+module.exports = jestConfig
@@ -1,20 +1,28 @@
+const { runCommand, workspaceCommand } = require('../modules/packageManager')
+const { workspaceName } = require('./workspacePackageJson')
+
 function packageJson(answers) {
   const {
-    mongo,
-    redux,
-    router,
     appName,
     server,
     description,
     author,
     email,
-    keywords = []
+    keywords = [],
+    pm = 'npm',
+    typescript,
+    tests,
+    lint,
+    monorepo
   } = answers
 
+  // `npm-run-all` uses npm unless told otherwise - https://github.com/mysticatea/npm-run-all/blob/master/docs/npm-run-all.md
+  const npmPath = pm === 'npm' ? '' : ` --npm-path ${pm}`
+
   const {
     devDependencies,
     serverDependencies
-  } = require('../modules/dependencies')(mongo, redux, router)
+  } = require('../modules/dependencies')(answers)
 
   let packageJson = {
     name: appName,
@@ -28,19 +36,38 @@ function packageJson(answers) {
     browserslist: ['>0.25%', 'not ie 11', 'not op_mini all']
   }
 
-  if (server) {
+  // `--monorepo` - the scripts run the packages' own (see `workspacePackageJson.js`).
+  if (monorepo) {
+    const { browserslist, ...fields } = packageJson // Only the client needs it.
+    const client = workspaceName(appName, 'client')
+
+    packageJson = {
+      ...fields,
+      private: true,
+      workspaces: ['packages/*'],
+      devDependencies,
+      scripts: {
+        build: workspaceCommand(pm, client, 'build'),
+        'build:dev': workspaceCommand(pm, client, 'build:dev'),
+        local: runCommand(pm, 'server:api'),
+        'server:dev': workspaceCommand(pm, client, 'start'),
+        'server:api': workspaceCommand(pm, workspaceName(appName, 'server'), 'start'),
+        start: `cross-env NODE_ENV=development npm-run-all${npmPath} --parallel server:*`
+      }
+    }
+  } else if (server) {
     packageJson = {
       ...packageJson,
-      main: 'server.js',
+      main: `server.${typescript ? 'ts' : 'js'}`,
       dependencies: serverDependencies,
       devDependencies,
       scripts: {
         build: 'cross-env NODE_ENV=production webpack --mode production --env.prod',
         'build:dev': 'cross-env NODE_ENV=development webpack --mode development --env.dev',
-        local: 'npm run server:api',
+        local: runCommand(pm, 'server:api'),
         'server:dev': 'webpack-dev-server --mode development --env.dev --progress',
-        'server:api': 'nodemon server.js',
-        start: 'cross-env NODE_ENV=development npm-run-all --parallel server:*'
+        'server:api': `nodemon server.${typescript ? 'ts' : 'js'}`,
+        start: `cross-env NODE_ENV=development npm-run-all${npmPath} --parallel server:*`
       }
     }
   } else {
@@ -54,6 +81,21 @@ function packageJson(answers) {
     }
   }
 
+  // `--typescript` - Babel only strips the types, this checks them.
+  if (typescript) packageJson.scripts.typecheck = 'tsc --noEmit'
+
+  // `--tests`
+  if (tests) {
+    packageJson.scripts.test = 'jest'
+    packageJson.scripts['test:watch'] = 'jest --watch'
+  }
+
+  // `--lint`
+  if (lint) {
+    packageJson.scripts.lint = `eslint . --ext .js,.jsx${typescript ? ',.ts,.tsx' : ''}`
+    packageJson.scripts.format = 'prettier --write .'
+  }
+
   // https://goo.gl/vldff
   return JSON.stringify(packageJson, null, 2)
 }
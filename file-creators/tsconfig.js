@@ -0,0 +1,34 @@
+// `--typescript` - the path mappings mirror the webpack aliases so `import App from 'components/App'` type checks.
+
+function tsconfig(options) {
+  const { alias, layout } = require('../modules/composeFeatures')(options)
+  const { server, tests, monorepo } = options
+
+  // E.x. - `actions` & `actions/*` => `src/utils/actions` & `src/utils/actions/*`
+  const paths = Object.keys(alias).reduce((acc, name) => ({
+    ...acc,
+    [name]: [layout(alias[name])],
+    [`${name}/*`]: [`${layout(alias[name])}/*`]
+  }), {})
+
+  const config = {
+    compilerOptions: {
+      target: 'es2017',
+      lib: ['dom', 'es2017'],
+      module: 'commonjs', // Babel handles the modules for Webpack, this is for `ts-node`.
+      jsx: 'react',
+      strict: true,
+      esModuleInterop: true,
+      isolatedModules: true, // Babel compiles one file at a time.
+      skipLibCheck: true,
+      baseUrl: '.',
+      paths
+    },
+    // `--monorepo` - one config for every package.
+    include: monorepo ? ['packages'] : ['src', ...(server ? ['server.ts', 'api'] : []), ...(tests ? ['tests'] : [])]
+  }
+
+  return JSON.stringify(config, null, 2)
+}
+
+module.exports = tsconfig
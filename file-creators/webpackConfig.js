@@ -1,51 +1,53 @@
 const fs = require('fs')
 const path = require('path')
+const renderTemplate = require('../modules/renderTemplate')
+
+// Object keys that need quotes - e.x. 'react-dom'.
+const key = name => /^[a-z_$][\w$]*$/i.test(name) ? name : `'${name}'`
+
+// Turns a webpack rule (from a plugin) into source code, RegExp's and all.
+function toSource(value, indent = '') {
+  const next = `${indent}  `
+
+  if (typeof value === 'string') return `'${value.replace(/'/g, "\\'")}'`
+  if (value instanceof RegExp) return String(value)
+  if (Array.isArray(value)) {
+    return `[\n${value.map(item => `${next}${toSource(item, next)}`).join(',\n')}\n${indent}]`
+  }
+  if (value && typeof value === 'object') {
+    const props = Object.keys(value).map(name => `${next}${key(name)}: ${toSource(value[name], next)}`)
+    return `{\n${props.join(',\n')}\n${indent}}`
+  }
+
+  return JSON.stringify(value)
+}
 
-function webpackConfig({ redux }) {
-  const aliasPlaceholder = '@@__PLACEHOLDER_WEBPACK_ALIAS__@@'
+function webpackConfig(options) {
+  const { alias, rules } = require('../modules/composeFeatures')(options)
   const filePath = path.resolve(__dirname, '../files/webpack.config.js')
   const config = fs.readFileSync(filePath, 'utf-8')
-  const lines = config.split('\n')
-
-  // Which line #'s' has the placeholders.
-  const aliasLineNum = lines.findIndex(line => line.includes(aliasPlaceholder))
-
-  // The line contents.
-  const aliasLine = lines[aliasLineNum]
-
-  /*
-    https://goo.gl/DirJ71
-    Figure out how many empty spaces there are for the indentation.
-    Our object properties should be indented 2 more than that.
-  */
-  const indent = ' '.repeat(aliasLine.search(/\S/) + 2)
-
-  // Construct the appropriate webpack alias object for redux or not.
-  const aliasReduxObject = [
-    `actions: path.resolve(__dirname, 'src/utils/actions'),`,
-    `helpers: path.resolve(__dirname, 'src/utils/helpers'),`,
-    `middleware: path.resolve(__dirname, 'src/utils/middleware'),`,
-    `reducers: path.resolve(__dirname, 'src/utils/reducers'),`,
-    `utils: path.resolve(__dirname, 'src/utils'),`,
-    '/*',
-    '  To replace React with (P)react, run: `npm i -D preact preact-compat`',
-    '  Preact does not have <Fragment /> as part of its API yet:',
-    '    https://github.com/developit/preact/issues/946',
-    '*/',
-    `// react: 'preact-compat',`,
-    `// 'react-dom': 'preact-compat'`,
-  ].map(line => `${indent}${line}`).join('\n')
-
-  // Construct the final alias object, possible including `aliasReduxObject` from above.
-  const aliasObject = [
-    '{',
-    `${indent}components: path.resolve(__dirname, 'src/components'),`,
-    `${indent}assets: path.resolve(__dirname, 'src/assets')${redux ? ',' : ''}`,
-    redux && aliasReduxObject,
-    `${indent.slice(2)}},` // Closing bracket indented 2 spaces closer.
-  ].filter(Boolean).join('\n')
 
-  return config.replace(aliasPlaceholder, aliasObject)
+  // Construct the webpack alias object from every feature's aliases.
+  const webpackAlias = [
+    '{',
+    ...Object.keys(alias).map(name => `  ${key(name)}: path.resolve(__dirname, '${alias[name]}'),`),
+    '  /*',
+    '    To replace React with (P)react, run: `npm i -D preact preact-compat`',
+    '    Preact does not have <Fragment /> as part of its API yet:',
+    '      https://github.com/developit/preact/issues/946',
+    '  */',
+    `  // react: 'preact-compat',`,
+    `  // 'react-dom': 'preact-compat'`,
+    '},'
+  ].join('\n')
+
+  // Rules may be given as source code strings already.
+  const webpackRules = rules
+    .map(rule => `${typeof rule === 'string' ? rule : toSource(rule)},`)
+    .join('\n')
+
+  const variables = { webpackAlias, webpackRules, typescript: !!options.typescript, monorepo: !!options.monorepo }
+  return renderTemplate(config, variables, 'webpack.config.js')
 }
 
 module.exports = webpackConfig
@@ -0,0 +1,58 @@
+// `--monorepo` - the `package.json` for each package. The root one is in `packageJson.js`.
+
+// E.x. - `my-app-client`
+const workspaceName = (appName, name) => `${appName}-${name}`
+
+// pnpm only links packages in the workspace when asked to.
+function sharedDependency({ appName, pm, shared }) {
+  return shared ? { [workspaceName(appName, 'shared')]: pm === 'pnpm' ? 'workspace:*' : '*' } : {}
+}
+
+const stringify = obj => JSON.stringify(obj, null, 2)
+const sorted = obj => Object.keys(obj).sort().reduce((acc, key) => ({ ...acc, [key]: obj[key] }), {})
+
+function clientPackageJson(options) {
+  return stringify({
+    name: workspaceName(options.appName, 'client'),
+    version: '0.1.0',
+    private: true,
+
+    // https://goo.gl/2uAdKL - avoid `last 2 versions`.
+    browserslist: ['>0.25%', 'not ie 11', 'not op_mini all'],
+    ...(options.shared && { dependencies: sharedDependency(options) }),
+    scripts: {
+      build: 'cross-env NODE_ENV=production webpack --mode production --env.prod',
+      'build:dev': 'cross-env NODE_ENV=development webpack --mode development --env.dev',
+      start: 'cross-env NODE_ENV=development webpack-dev-server --mode development --env.dev --progress'
+    }
+  })
+}
+
+function serverPackageJson(options) {
+  const { appName, typescript } = options
+  const { serverDependencies } = require('../modules/dependencies')(options)
+  const server = `server.${typescript ? 'ts' : 'js'}`
+
+  return stringify({
+    name: workspaceName(appName, 'server'),
+    version: '0.1.0',
+    private: true,
+    main: server,
+    dependencies: sorted({ ...serverDependencies, ...sharedDependency(options) }),
+    scripts: {
+      start: `nodemon ${server}`
+    }
+  })
+}
+
+function sharedPackageJson({ appName, typescript }) {
+  return stringify({
+    name: workspaceName(appName, 'shared'),
+    version: '0.1.0',
+    private: true,
+    main: 'index.js',
+    ...(typescript && { types: 'index.d.ts' })
+  })
+}
+
+module.exports = { workspaceName, clientPackageJson, serverPackageJson, sharedPackageJson }
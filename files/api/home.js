@@ -11,7 +11,11 @@ function home(req, res) {
     While developing, the development server will serve `index.html`
     from memory, avoiding any contact with this route in the first place.
   */
+  // @@if monorepo@@
+  res.sendFile(path.resolve(__dirname, '../../client/dist/index.html'), err => {
+  // @@else@@
   res.sendFile(path.resolve(__dirname, '../dist/index.html'), err => {
+  // @@endif@@
     /*
       If the file wasn't found, send 404.
       This can happen in you manually change
@@ -1,4 +1,12 @@
+// @@if mongo@@
 const mongo = require('./mongo')
+// @@endif@@
+// @@if sqlite@@
+const sqlite = require('./sqlite')
+// @@endif@@
+// @@if postgres@@
+const postgres = require('./postgres')
+// @@endif@@
 const isProd = process.env.NODE_ENV === 'production'
 
 /*
@@ -9,7 +17,7 @@ const isProd = process.env.NODE_ENV === 'production'
 const localDate = () => new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })
 
 /*
-  This function is used to create error objects that will be stored in MongoDB.
+  This function is used to create error objects that will be stored in the database.
   The idea is that there will be an admin-only section on the front end
   that will display this error data in a meaningful way.
 */
@@ -25,10 +33,26 @@ const createError = (type = 'unknown', { message, stack } = {}) => ({
 async function saveErrorToDb(err) {
   if (!isProd) return console.log('ERROR CREATED FOR DB:', err)
 
+  // @@if mongo@@
   const [dbErr, client, db] = await mongo()
   if (dbErr) return
   await db.collection('errors').insertOne(err)
   client.close()
+  // @@endif@@
+  // @@if sqlite@@
+  const [dbErr, client, db] = await sqlite()
+  if (dbErr) return
+  await db.run('CREATE TABLE IF NOT EXISTS errors (error TEXT)') // Each error as JSON.
+  await db.run('INSERT INTO errors (error) VALUES (?)', JSON.stringify(err))
+  client.close()
+  // @@endif@@
+  // @@if postgres@@
+  const [dbErr, client, db] = await postgres()
+  if (dbErr) return
+  await db.query('CREATE TABLE IF NOT EXISTS errors (error JSONB)')
+  await db.query('INSERT INTO errors (error) VALUES ($1)', [err])
+  client.release()
+  // @@endif@@
 }
 
 // Inserts, saves, etc. error's are handled with this function.
@@ -44,13 +68,13 @@ function operationErr(err, operation, collection, req) {
   saveErrorToDb(newError)
 }
 
-// Errors happening from the session store which uses MongoDB.
+// Errors happening from the session store which uses the database.
 function sessionStoreErr(err) {
   const error = createError('session store', err)
   saveErrorToDb(error)
 }
 
-// When Mongo can't connect.
+// When the database can't connect.
 function noConnect(res, err) {
   const error = createError('no connect', err)
   res.status(500).send({ error })
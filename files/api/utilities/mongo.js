@@ -13,14 +13,13 @@
 */
 
 const { MongoClient } = require('mongodb')
-const { mongoURI, appName } = process.env
+const { mongoURI } = process.env
 
 /*
-  We default to connecting to a database named after the `appName`.
-  Users are still free to pass in their own custom name.
-  To set the db name globally, replace `appName` below with a string.
+  We default to the database in `mongoURI`, so each environment gets its own -
+  e.x. `my-app-test` from `.env.test`. Users are still free to pass in their own custom name.
 */
-const mongo = (databaseName = appName) => (
+const mongo = databaseName => (
   MongoClient.connect(mongoURI, { useNewUrlParser: true })
     .then(client => [null, client, client.db(databaseName)])
     .catch(err => [err])
@@ -0,0 +1,34 @@
+/*
+  The purpose of this module is to allow the use of async / await
+  when connecting to PostgreSQL throughout the app. An example:
+
+  async function example() {
+    const [dbErr, client, db] = await postgres()
+    const { rows: posts } = await db.query('SELECT * FROM posts')
+
+    ...
+
+    client.release()
+  }
+
+  With PostgreSQL, `client` & `db` are the same connection - the tuple matches
+  `mongo.js`'s, so the code reads the same whichever database the app uses.
+  `release` hands the connection back to the pool rather than closing it.
+*/
+
+const { Pool } = require('pg')
+const { postgresURI } = process.env
+
+/*
+  One pool of connections for the whole app, to the database in `postgresURI` - so
+  each environment gets its own, e.x. `my-app-test` from `.env.test`.
+*/
+const pool = new Pool({ connectionString: postgresURI })
+
+const postgres = () => (
+  pool.connect()
+    .then(client => [null, client, client])
+    .catch(err => [err])
+)
+
+module.exports = postgres
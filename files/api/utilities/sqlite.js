@@ -0,0 +1,34 @@
+/*
+  The purpose of this module is to allow the use of async / await
+  when connecting to SQLite throughout the app. An example:
+
+  async function example() {
+    const [dbErr, client, db] = await sqlite()
+    const posts = await db.all('SELECT * FROM posts')
+
+    ...
+
+    client.close()
+  }
+
+  With SQLite, `client` & `db` are the same connection - the tuple matches
+  `mongo.js`'s, so the code reads the same whichever database the app uses.
+*/
+
+const path = require('path')
+const sqlite3 = require('sqlite3')
+const { open } = require('sqlite')
+const { sqliteFile } = process.env
+
+/*
+  We default to the file in `sqliteFile`, so each environment gets its own -
+  e.x. `my-app-test.sqlite` from `.env.test`. It's relative to `server.js` & created
+  the first time it's used. Users are still free to pass in their own custom file.
+*/
+const sqlite = (file = sqliteFile) => (
+  open({ filename: path.resolve(__dirname, '../..', file), driver: sqlite3.Database })
+    .then(db => [null, db, db])
+    .catch(err => [err])
+)
+
+module.exports = sqlite
@@ -0,0 +1,78 @@
+/*
+  Loads the environment variables (see `.env.example`) & checks them as the server & Webpack
+  start - both use this, so they always see the same values. Anything missing or malformed
+  stops them with a list of what's wrong, rather than turning up later as `undefined`
+  somewhere deep inside Express or MongoDB.
+
+    require('./env')('server') // Checks what the server needs.
+    require('./env')() // Only checks the values that are set.
+
+  The files for the current NODE_ENV (`development` if it isn't set) are read in this order.
+  A variable that's already set is never overwritten, so the first to set it wins - and
+  the real environment (e.x. your host's config in production) beats every file:
+
+    .env.local             your own overrides - git ignored & skipped for tests
+    .env.<NODE_ENV>        e.x. `.env.test` - committed
+    .env                   shared by every environment - git ignored
+*/
+
+const fs = require('fs')
+const path = require('path')
+const dotenv = require('dotenv') // https://goo.gl/Cj8nKu
+
+// @@if monorepo@@
+// The files are in the root of the monorepo, for every package.
+const root = path.resolve(__dirname, '../..')
+// @@else@@
+const root = __dirname
+// @@endif@@
+
+// What each type of value should look like - each returns what's wrong, if anything.
+const types = {
+  text: value => !value.trim() && 'is empty',
+  port: value => !(/^\d+$/.test(value) && value >= 1 && value <= 65535) && 'should be a port number between 1 & 65535',
+  path: value => !value.startsWith('/') && 'should start with a `/` (e.x. /api)',
+  mongoURI: value => !/^mongodb(\+srv)?:\/\//.test(value) && 'should start with `mongodb://` or `mongodb+srv://`',
+  postgresURI: value => !/^postgres(ql)?:\/\//.test(value) && 'should start with `postgres://` or `postgresql://`'
+}
+
+// `required` - what can't start without it, 'server' and/or 'webpack'.
+const schema = @@schema@@
+
+function loadEnv(side) {
+  const mode = process.env.NODE_ENV || 'development'
+  const files = [mode !== 'test' && '.env.local', `.env.${mode}`, '.env'].filter(Boolean)
+
+  files.forEach(file => {
+    const filePath = path.join(root, file)
+    if (!fs.existsSync(filePath)) return
+
+    const parsed = dotenv.parse(fs.readFileSync(filePath))
+    Object.keys(parsed)
+      .filter(key => process.env[key] === undefined)
+      .forEach(key => (process.env[key] = parsed[key]))
+  })
+
+  checkEnv(side)
+}
+
+function checkEnv(side) {
+  const problems = Object.keys(schema).reduce((acc, key) => {
+    const { type, required } = schema[key]
+    const value = process.env[key]
+
+    if (value === undefined || value === '') {
+      return required.includes(side) ? [...acc, `${key} is missing.`] : acc
+    }
+
+    const problem = types[type](value)
+    return problem ? [...acc, `${key} ${problem}.`] : acc
+  }, [])
+
+  if (!problems.length) return
+
+  console.error(`\nSome environment variables need fixing (see .env.example):\n\n${problems.map(problem => `  - ${problem}`).join('\n')}\n`)
+  process.exit(1)
+}
+
+module.exports = loadEnv
@@ -0,0 +1,11 @@
+const postgres = require('../utilities/postgres')
+
+async function exampleGetEndpoint(req, res) {
+  const [err, client, db] = await postgres()
+  if (err) return console.log(err)
+
+  // Get all blog posts from the `posts` table in PostgreSQL.
+  const { rows: posts } = await db.query('SELECT * FROM posts')
+  res.json(posts)
+  client.release() // Back to the pool.
+}
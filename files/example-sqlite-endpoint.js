@@ -0,0 +1,11 @@
+const sqlite = require('../utilities/sqlite')
+
+async function exampleGetEndpoint(req, res) {
+  const [err, client, db] = await sqlite()
+  if (err) return console.log(err)
+
+  // Get all blog posts from the `posts` table in SQLite.
+  const posts = await db.all('SELECT * FROM posts')
+  res.json(posts)
+  client.close()
+}
@@ -0,0 +1,2 @@
+// Types for `index.js`.
+export function isEmail(text: string): boolean
@@ -0,0 +1,11 @@
+/*
+  Code the client & the server both use - e.x. checking a form in the browser, then
+  checking it again in the api before trusting it.
+
+    import { isEmail } from '@@appName@@-shared' // The client.
+    const { isEmail } = require('@@appName@@-shared') // The server.
+*/
+
+const isEmail = text => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(text)
+
+module.exports = { isEmail }
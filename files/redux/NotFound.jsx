@@ -1,10 +0,0 @@
-import React, { Fragment } from 'react'
-
-const NotFound = () => (
-  <Fragment>
-    <h2>Where's Waldo?</h2>
-    <p>More importantly, where are <span className='i'>you?</span> Because from the looks of it, you're lost, pal. Might wanna find a page that actually exists...</p>
-  </Fragment>
-)
-
-export default NotFound
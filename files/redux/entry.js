@@ -1,32 +0,0 @@
-// You may or may not need this depending on
-// what JavaScript features you're using - e.x. async / await.
-// Feel free to remove it and see what happens!
-import '@babel/polyfill'
-
-// Import our top-level sass file.
-import './styles/styles.scss'
-
-// Import React.
-import React from 'react'
-import ReactDOM from 'react-dom'
-
-// Import our store provider.
-import { Provider } from 'react-redux'
-
-// Import our top-level component.
-import App from 'components/App'
-
-// Import a store, created & ready to go.
-import store from './store'
-
-
-// Create a single element for our app to live.
-document.body.innerHTML = '<div id="app"></div>'
-document.body.className = 'bg-black-80 fw4 white-80'
-
-ReactDOM.render(
-  <Provider store={store}>
-    <App />
-  </Provider>,
-  document.querySelector('#app')
-)
@@ -1,12 +1,12 @@
 import { combineReducers, createStore, applyMiddleware, compose } from 'redux'
-import app from 'reducers/appReducer'
+import @@reducer@@ from 'reducers/@@reducer@@Reducer'
 
 
 // Add all your custom middleware to this array.
 const middlewareList = []
 
 // Add all your reducers to this object.
-const rootReducer = combineReducers({ app })
+const rootReducer = combineReducers({ @@reducer@@ })
 
 /*
   https://goo.gl/XRLgX8
@@ -2,7 +2,7 @@ import { randomHexColor } from 'helpers'
 
 const initialState = { color: '#ffd700' }
 
-const appReducer = (state = initialState, action = {}) => {
+const @@reducer@@Reducer = (state = initialState, action = {}) => {
   switch (action.type) {
     case 'CHANGE_COLOR':
       return { ...state, color: randomHexColor() }
@@ -11,4 +11,4 @@ const appReducer = (state = initialState, action = {}) => {
   }
 }
 
-export default appReducer
+export default @@reducer@@Reducer
@@ -1,16 +1,22 @@
 /*
-  Please be sure to EXCLUDE the `.env` file from version control.
+  Please be sure to EXCLUDE `.env` & `.env.local` from version control.
   In production, whatever host you use to deploy your server will
   give you options to set environment config variables. Be sure to
-  set the variables found in `.env` accordingly.
+  set the variables found in `.env.example` accordingly.
   Also for production, don't forget to change the start script in
   `package.json` to only start the API server in production mode!
 */
-if (process.env.NODE_ENV !== 'production') {
-  require('dotenv').load() // https://goo.gl/Cj8nKu
-}
+require('./env')('server') // Loads `.env` & the file for NODE_ENV, then checks them - see `env.js`.
 
-const { mongoURI, mongoSession, appName, secret, API_PORT } = process.env // Environment variables.
+// @@if mongo@@
+const { mongoURI, mongoSession, appName, secret, previousSecret, API_PORT } = process.env // Environment variables.
+// @@endif@@
+// @@if sqlite@@
+const { sqliteFile, sqliteSession, appName, secret, previousSecret, API_PORT } = process.env // Environment variables.
+// @@endif@@
+// @@if postgres@@
+const { postgresURI, postgresSession, appName, secret, previousSecret, API_PORT } = process.env // Environment variables.
+// @@endif@@
 const path = require('path')
 const express = require('express')
 const helmet = require('helmet') // Sets various http headers - https://goo.gl/g7K98x
@@ -19,6 +25,7 @@ const bp = require('body-parser') // Makes `req.body` available - https://goo.gl
 const session = require('express-session') // Save data across requests - https://goo.gl/GEFgyQ
 const app = express()
 
+// @@if mongo@@
 // MongoDB
 const { sessionStoreErr } = require('./api/utilities/handleErrors')
 const MongoStore  = require('connect-mongodb-session')(require('express-session'))
@@ -29,6 +36,28 @@ const store = new MongoStore({
 
 // Catch & record store errors in the database.
 store.on('error', sessionStoreErr)
+// @@endif@@
+// @@if sqlite@@
+// SQLite - sessions are kept in a table of the app's database file, next to this one.
+const SQLiteStore = require('connect-sqlite3')(session)
+const store = new SQLiteStore({
+  dir: path.dirname(path.resolve(__dirname, sqliteFile)),
+  db: path.basename(sqliteFile),
+  table: sqliteSession
+})
+// @@endif@@
+// @@if postgres@@
+// PostgreSQL - the sessions table is created the first time the server starts.
+const { sessionStoreErr } = require('./api/utilities/handleErrors')
+const PgStore = require('connect-pg-simple')(session)
+const store = new PgStore({
+  conString: postgresURI,
+  tableName: postgresSession,
+  createTableIfMissing: true,
+  // Catch & record store errors in the database - e.x. errorLog('Failed to prune sessions:', err).
+  errorLog: (...args) => sessionStoreErr(args.find(arg => arg instanceof Error) || new Error(args.join(' ')))
+})
+// @@endif@@
 
 /*
   Express middleware.
@@ -36,7 +65,11 @@ store.on('error', sessionStoreErr)
 */
 app.use(
   express.static( // https://goo.gl/759KqP
+    // @@if monorepo@@
+    path.resolve(__dirname, '../client/dist'), // Built by the client package.
+    // @@else@@
     path.resolve(__dirname, 'dist'),
+    // @@endif@@
     // `no-cache` still caches but it checks with the server via etag to ensure the latest version.
     { setHeaders: res => res.set('Cache-Control', 'no-cache') } // Cache static assets :)
   ),
@@ -49,7 +82,8 @@ app.use(
     name: appName, // Needed if multiple apps running on same host.
     resave: false, // Forces cookie to be resaved back to the session store even if no changes.
     saveUninitialized: true, // Forces a session that is uninitialized to be saved to the store.
-    secret, // The secret used to sign the session ID cookie.
+    // Signs the session ID cookie. After `cna secret rotate`, cookies signed with the old secret still work.
+    secret: previousSecret ? [secret, previousSecret] : secret,
     cookie: {
       maxAge: null, // Default = `null` - closing browser removes cookie & session.
       httpOnly: true // Default = `true` - on the client, `document.cookie` will not be available.
@@ -72,4 +106,19 @@ app.use(
 app.get('*', require('./api/home'))
 
 // And so it begins...
-app.listen(API_PORT, () => console.log(`API listening on port ${API_PORT}...`))
+app.listen(API_PORT, () => console.log(`API listening on port ${API_PORT}...`)).on('error', portProblem)
+
+/*
+  Something else is using the port (or it needs admin rights) - say so & stop,
+  rather than crash with a stack trace.
+*/
+function portProblem(err) {
+  const problems = {
+    EADDRINUSE: `Port ${API_PORT} is already in use. Stop whatever is using it or change API_PORT in .env.`,
+    EACCES: `Port ${API_PORT} needs admin rights. Use a port above 1023 for API_PORT in .env.`
+  }
+  if (!problems[err.code]) throw err
+
+  console.error(`\n${problems[err.code]}\n`)
+  process.exit(1)
+}
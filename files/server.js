@@ -1,17 +1,15 @@
 /*
-  Please be sure to EXCLUDE the `.env` file from version control.
+  Please be sure to EXCLUDE `.env` & `.env.local` from version control.
   In production, whatever host you use to deploy your server will
   give you options to set environment config variables. Be sure to
-  set the variables found in `.env` accordingly.
+  set the variables found in `.env.example` accordingly.
   Also for production, don't forget to change the start script in
   `package.json` to only start the API server in production mode!
 */
-const notProd = process.env.NODE_ENV !== 'production'
-if (notProd) {
-  require('dotenv').load() // https://goo.gl/Cj8nKu
-}
+require('./env')('server') // Loads `.env` & the file for NODE_ENV, then checks them - see `env.js`.
 
-const { appName, API_PORT, DEV_SERVER_PORT } = process.env // Environment variables.
+const notProd = process.env.NODE_ENV !== 'production'
+const { API_PORT, DEV_SERVER_PORT } = process.env // Environment variables.
 const path = require('path')
 const express = require('express')
 const helmet = require('helmet') // Sets various http headers - https://goo.gl/g7K98x
@@ -25,7 +23,11 @@ const app = express()
 */
 app.use(
   express.static( // https://goo.gl/759KqP
+    // @@if monorepo@@
+    path.resolve(__dirname, '../client/dist'), // Built by the client package.
+    // @@else@@
     path.resolve(__dirname, 'dist'),
+    // @@endif@@
     // `no-cache` still caches but it checks with the server via etag to ensure the latest version.
     { setHeaders: res => res.set('Cache-Control', 'no-cache') } // Cache static assets :)
   ),
@@ -52,4 +54,19 @@ app.get('*', require('./api/home'))
 // And so it begins...
 app.listen(API_PORT, () => {
   notProd && console.log(`💻  => Application running in browser at http://localhost:${DEV_SERVER_PORT}\n\n`)
-})
+}).on('error', portProblem)
+
+/*
+  Something else is using the port (or it needs admin rights) - say so & stop,
+  rather than crash with a stack trace.
+*/
+function portProblem(err) {
+  const problems = {
+    EADDRINUSE: `Port ${API_PORT} is already in use. Stop whatever is using it or change API_PORT in .env.`,
+    EACCES: `Port ${API_PORT} needs admin rights. Use a port above 1023 for API_PORT in .env.`
+  }
+  if (!problems[err.code]) throw err
+
+  console.error(`\n${problems[err.code]}\n`)
+  process.exit(1)
+}
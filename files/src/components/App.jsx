@@ -1,14 +1,14 @@
 import React, { Fragment } from 'react'
 
-const App = () => (
+const @@component@@ = () => (
   <Fragment>
     <header className='pv5 bg-gold black-80'>
       <h1 className='mt0 mb1 tc'>Create New App</h1>
       <div className='tc ttc'>by the Qodesmith</div>
     </header>
     <div className='pt4 pb1 tc'>Go save the world with JavaScript</div>
-    <div className='tc'>and edit <code>src/components/<span className='b'>App.jsx</span></code>!</div>
+    <div className='tc'>and edit <code>src/components/<span className='b'>@@component@@.@@jsx@@</span></code>!</div>
   </Fragment>
 )
 
-export default App
+export default @@component@@
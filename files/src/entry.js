@@ -9,9 +9,31 @@ import './styles/styles.scss'
 // Import React.
 import React from 'react'
 import ReactDOM from 'react-dom'
+// @@if redux@@
+
+// Import our store provider.
+import { Provider } from 'react-redux'
+// @@endif@@
+// @@if router@@
+
+// Import our components.
+import Home from 'components/Home'
+import NotFound from 'components/NotFound'
+// @@else@@
 
 // Import our top-level component.
 import App from 'components/App'
+// @@endif@@
+// @@if redux@@
+
+// Import a store, created & ready to go.
+import store from './store'
+// @@endif@@
+// @@if router@@
+
+// Import React Router things.
+import { BrowserRouter as Router, Switch, Route } from 'react-router-dom'
+// @@endif@@
 
 // Create a single element for our app to live.
 document.body.innerHTML = '<div id="app"></div>'
@@ -19,6 +41,30 @@ document.body.className = 'bg-black-80 fw4 white-80'
 
 // Mount our app.
 ReactDOM.render(
+  // @@if redux@@
+  <Provider store={store}>
+    // @@if router@@
+    <Router>
+      <Switch>
+        <Route exact path='/' component={Home} />
+        <Route component={NotFound} />
+      </Switch>
+    </Router>
+    // @@else@@
+    <App />
+    // @@endif@@
+  </Provider>,
+  // @@else@@
+  // @@if router@@
+  <Router>
+    <Switch>
+      <Route exact path='/' component={Home} />
+      <Route component={NotFound} />
+    </Switch>
+  </Router>,
+  // @@else@@
   <App />,
+  // @@endif@@
+  // @@endif@@
   document.querySelector('#app')
 )
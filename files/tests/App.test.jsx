@@ -0,0 +1,18 @@
+import React from 'react'
+import { render } from '@testing-library/react'
+// @@if redux@@
+import { Provider } from 'react-redux'
+import store from '../src/store'
+// @@endif@@
+import @@component@@ from 'components/@@component@@'
+
+describe('<@@component@@ />', () => {
+  it('renders', () => {
+    // @@if redux@@
+    const { getByText } = render(<Provider store={store}><@@component@@ /></Provider>)
+    // @@else@@
+    const { getByText } = render(<@@component@@ />)
+    // @@endif@@
+    expect(getByText('Create New App')).toBeTruthy()
+  })
+})
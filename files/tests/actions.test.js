@@ -0,0 +1,7 @@
+import { changeColor } from 'actions'
+
+describe('changeColor', () => {
+  it('creates a CHANGE_COLOR action', () => {
+    expect(changeColor()).toEqual({ type: 'CHANGE_COLOR' })
+  })
+})
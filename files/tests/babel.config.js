@@ -0,0 +1,24 @@
+/*
+  Only used by Jest - Webpack's `babel-loader` has its own options in `webpack.config.js`.
+  Jest sets `NODE_ENV` to `test`, so none of this affects the build.
+*/
+module.exports = {
+  env: {
+    test: {
+      presets: [
+        ['@babel/preset-env', { targets: { node: 'current' } }],
+        // @@if typescript@@
+        '@babel/preset-react',
+        '@babel/preset-typescript'
+        // @@else@@
+        '@babel/preset-react'
+        // @@endif@@
+      ],
+      plugins: [
+        '@babel/plugin-proposal-object-rest-spread',
+        '@babel/plugin-proposal-class-properties',
+        '@babel/plugin-syntax-dynamic-import'
+      ]
+    }
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * @jest-environment node
+ */
+import catchy from '../api/utilities/catchy'
+
+describe('catchy', () => {
+  it('resolves with [null, value] for values', async () => {
+    expect(await catchy(42)).toEqual([null, 42])
+  })
+
+  it('resolves with [null, value] for resolved promises', async () => {
+    expect(await catchy(Promise.resolve('yay'))).toEqual([null, 'yay'])
+  })
+
+  it('resolves with [error] for rejected promises', async () => {
+    const err = new Error('nope')
+    expect(await catchy(Promise.reject(err))).toEqual([err])
+  })
+})
@@ -0,0 +1,34 @@
+/**
+ * @jest-environment node
+ */
+// @@if typescript@@
+import { Response } from 'express'
+// @@endif@@
+import { noConnect, sessionStoreErr } from '../api/utilities/handleErrors'
+
+describe('handleErrors', () => {
+  it('responds with a 500 when the database can\'t connect', () => {
+    const res = { status: jest.fn(), send: jest.fn() }
+    res.status.mockReturnValue(res)
+
+    // @@if typescript@@
+    noConnect(res as unknown as Response, new Error('no db')) // Just enough of a `Response`.
+    // @@else@@
+    noConnect(res, new Error('no db'))
+    // @@endif@@
+    expect(res.status).toHaveBeenCalledWith(500)
+    expect(res.send.mock.calls[0][0].error).toMatchObject({ type: 'no connect', error: 'no db' })
+  })
+
+  it('logs errors outside of production rather than saving them', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {})
+
+    sessionStoreErr(new Error('store down'))
+    expect(log).toHaveBeenCalledWith('ERROR CREATED FOR DB:', expect.objectContaining({
+      type: 'session store',
+      error: 'store down'
+    }))
+
+    log.mockRestore()
+  })
+})
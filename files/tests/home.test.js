@@ -0,0 +1,29 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs'
+import path from 'path'
+import express from 'express'
+import request from 'supertest'
+import home from '../api/home'
+
+// The catch-all route from `server.@@js@@`.
+const app = express()
+app.get('*', home)
+
+// `dist/index.html` only exists once the app has been built.
+// @@if monorepo@@
+const built = fs.existsSync(path.resolve(__dirname, '../../client/dist/index.html'))
+// @@else@@
+const built = fs.existsSync(path.resolve(__dirname, '../dist/index.html'))
+// @@endif@@
+
+describe('api/home', () => {
+  if (built) {
+    it('serves index.html for any route', () => (
+      request(app).get('/some/page').expect(200).expect('Content-Type', /html/)
+    ))
+  } else {
+    it('responds with a 404 until the app is built', () => request(app).get('/some/page').expect(404))
+  }
+})
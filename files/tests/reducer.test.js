@@ -0,0 +1,17 @@
+import @@reducer@@Reducer from 'reducers/@@reducer@@Reducer'
+import { changeColor } from 'actions'
+
+describe('@@reducer@@Reducer', () => {
+  it('starts out gold', () => {
+    expect(@@reducer@@Reducer(undefined, { type: 'INIT' })).toEqual({ color: '#ffd700' })
+  })
+
+  it('changes to a random color', () => {
+    expect(@@reducer@@Reducer(undefined, changeColor()).color).toMatch(/^#[0-9a-f]{6}$/)
+  })
+
+  it('ignores actions it doesn\'t know about', () => {
+    const state = { color: '#000000' }
+    expect(@@reducer@@Reducer(state, { type: 'SOMETHING_ELSE' })).toBe(state)
+  })
+})
@@ -0,0 +1,34 @@
+import React from 'react'
+import { render } from '@testing-library/react'
+import { MemoryRouter, Switch, Route } from 'react-router-dom'
+// @@if redux@@
+import { Provider } from 'react-redux'
+import store from '../src/store'
+// @@endif@@
+import Home from 'components/Home'
+import NotFound from 'components/NotFound'
+
+// The same routes as `entry.@@jsx@@`, starting out at `path`.
+const routes = (path = '/') => (
+  <MemoryRouter initialEntries={[path]}>
+    <Switch>
+      <Route exact path='/' component={Home} />
+      <Route component={NotFound} />
+    </Switch>
+  </MemoryRouter>
+)
+// @@if redux@@
+const renderAt = (path = '/') => render(<Provider store={store}>{routes(path)}</Provider>)
+// @@else@@
+const renderAt = (path = '/') => render(routes(path))
+// @@endif@@
+
+describe('routes', () => {
+  it('shows the home page at /', () => {
+    expect(renderAt('/').getByText('Create New App')).toBeTruthy()
+  })
+
+  it('shows the 404 page anywhere else', () => {
+    expect(renderAt('/nope').getByText('Where\'s Waldo?')).toBeTruthy()
+  })
+})
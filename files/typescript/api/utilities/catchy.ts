@@ -0,0 +1,12 @@
+/*
+  Inspired by this article - https://goo.gl/9KnMYT
+  Catchify is also a great library for this - https://github.com/majgis/catchify
+*/
+
+const catchy = <T>(thing: T | Promise<T>): Promise<[Error | null, T?]> => (
+  Promise.resolve(thing)
+    .then((res): [null, T] => [null, res])
+    .catch((err: Error): [Error] => [err])
+)
+
+export default catchy
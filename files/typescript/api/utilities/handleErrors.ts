@@ -0,0 +1,83 @@
+import { Request, Response } from 'express'
+// @@if mongo@@
+import mongo from './mongo'
+// @@endif@@
+// @@if sqlite@@
+import sqlite from './sqlite'
+// @@endif@@
+// @@if postgres@@
+import postgres from './postgres'
+// @@endif@@
+
+const isProd = process.env.NODE_ENV === 'production'
+
+/*
+  toLocaleString - https://goo.gl/obzAhL
+  Returns a date string local to NY - '9/14/2017, 2:36:31 PM'
+  https://goo.gl/SkVvba
+*/
+const localDate = () => new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })
+
+/*
+  This function is used to create error objects that will be stored in the database.
+  The idea is that there will be an admin-only section on the front end
+  that will display this error data in a meaningful way.
+*/
+const createError = (type = 'unknown', { message, stack }: Partial<Error> = {}) => ({
+  type,
+  stack,
+  error: message,
+  localDate: localDate(),
+  date: Date.now()
+})
+
+// A helper function that saves errors to the database.
+async function saveErrorToDb(err: object) {
+  if (!isProd) return console.log('ERROR CREATED FOR DB:', err)
+
+  // @@if mongo@@
+  const [dbErr, client, db] = await mongo()
+  if (dbErr || !client || !db) return
+  await db.collection('errors').insertOne(err)
+  client.close()
+  // @@endif@@
+  // @@if sqlite@@
+  const [dbErr, client, db] = await sqlite()
+  if (dbErr || !client || !db) return
+  await db.run('CREATE TABLE IF NOT EXISTS errors (error TEXT)') // Each error as JSON.
+  await db.run('INSERT INTO errors (error) VALUES (?)', JSON.stringify(err))
+  client.close()
+  // @@endif@@
+  // @@if postgres@@
+  const [dbErr, client, db] = await postgres()
+  if (dbErr || !client || !db) return
+  await db.query('CREATE TABLE IF NOT EXISTS errors (error JSONB)')
+  await db.query('INSERT INTO errors (error) VALUES ($1)', [err])
+  client.release()
+  // @@endif@@
+}
+
+// Inserts, saves, etc. error's are handled with this function.
+export function operationErr(err: Error, operation: string, collection: string, req: Request) {
+  const error = createError('db operation', err)
+  const newError = {
+    operation,
+    collection,
+    url: req.originalUrl,
+    ...error
+  }
+
+  saveErrorToDb(newError)
+}
+
+// Errors happening from the session store which uses the database.
+export function sessionStoreErr(err: Error) {
+  const error = createError('session store', err)
+  saveErrorToDb(error)
+}
+
+// When the database can't connect.
+export function noConnect(res: Response, err: Error) {
+  const error = createError('no connect', err)
+  res.status(500).send({ error })
+}
@@ -0,0 +1,33 @@
+/*
+  The purpose of this module is to allow the use of async / await
+  when connecting to MongoDB throughout the app. An example:
+
+  async function example() {
+    const [dbErr, client, db] = await mongo()
+    if (dbErr || !client || !db) return
+
+    const postsCollection = await db.collection('posts')
+
+    ...
+
+    client.close()
+  }
+*/
+
+import { MongoClient, Db } from 'mongodb'
+
+type Connection = [Error, undefined, undefined] | [null, MongoClient, Db]
+
+/*
+  We default to the database in `mongoURI`, so each environment gets its own -
+  e.x. `my-app-test` from `.env.test`. Users are still free to pass in their own custom name.
+  The environment variables are read when connecting since `server.ts`
+  loads them after its imports.
+*/
+const mongo = (databaseName?: string): Promise<Connection> => (
+  MongoClient.connect(process.env.mongoURI || '')
+    .then((client): Connection => [null, client, client.db(databaseName)])
+    .catch((err: Error): Connection => [err, undefined, undefined])
+)
+
+export default mongo
@@ -0,0 +1,40 @@
+/*
+  The purpose of this module is to allow the use of async / await
+  when connecting to PostgreSQL throughout the app. An example:
+
+  async function example() {
+    const [dbErr, client, db] = await postgres()
+    if (dbErr || !client || !db) return
+
+    const { rows: posts } = await db.query('SELECT * FROM posts')
+
+    ...
+
+    client.release()
+  }
+
+  With PostgreSQL, `client` & `db` are the same connection - the tuple matches
+  `mongo.ts`'s, so the code reads the same whichever database the app uses.
+  `release` hands the connection back to the pool rather than closing it.
+*/
+
+import { Pool, PoolClient } from 'pg'
+
+type Connection = [Error, undefined, undefined] | [null, PoolClient, PoolClient]
+
+/*
+  One pool of connections for the whole app, to the database in `postgresURI` - so
+  each environment gets its own, e.x. `my-app-test` from `.env.test`. It's created
+  on the first connection since `server.ts` loads the environment variables after its imports.
+*/
+let pool: Pool | undefined
+
+const postgres = (): Promise<Connection> => {
+  pool = pool || new Pool({ connectionString: process.env.postgresURI })
+
+  return pool.connect()
+    .then((client): Connection => [null, client, client])
+    .catch((err: Error): Connection => [err, undefined, undefined])
+}
+
+export default postgres
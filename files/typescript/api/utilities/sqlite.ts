@@ -0,0 +1,39 @@
+/*
+  The purpose of this module is to allow the use of async / await
+  when connecting to SQLite throughout the app. An example:
+
+  async function example() {
+    const [dbErr, client, db] = await sqlite()
+    if (dbErr || !client || !db) return
+
+    const posts = await db.all('SELECT * FROM posts')
+
+    ...
+
+    client.close()
+  }
+
+  With SQLite, `client` & `db` are the same connection - the tuple matches
+  `mongo.ts`'s, so the code reads the same whichever database the app uses.
+*/
+
+import path from 'path'
+import sqlite3 from 'sqlite3'
+import { open, Database } from 'sqlite'
+
+type Connection = [Error, undefined, undefined] | [null, Database, Database]
+
+/*
+  We default to the file in `sqliteFile`, so each environment gets its own -
+  e.x. `my-app-test.sqlite` from `.env.test`. It's relative to `server.ts` & created
+  the first time it's used. Users are still free to pass in their own custom file.
+  The environment variables are read when connecting since `server.ts`
+  loads them after its imports.
+*/
+const sqlite = (file = process.env.sqliteFile || ''): Promise<Connection> => (
+  open({ filename: path.resolve(__dirname, '../..', file), driver: sqlite3.Database })
+    .then((db): Connection => [null, db, db])
+    .catch((err: Error): Connection => [err, undefined, undefined])
+)
+
+export default sqlite
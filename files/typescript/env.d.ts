@@ -0,0 +1,3 @@
+// Types for `env.js`.
+declare function loadEnv(side?: 'server' | 'webpack' | null): void
+export = loadEnv
@@ -1,9 +1,15 @@
 import React, { Fragment } from 'react'
 import { connect } from 'react-redux'
+import { Dispatch } from 'redux'
 import { changeColor } from 'actions'
+import { State } from 'reducers/@@reducer@@Reducer'
 
 
-const Home = ({ color, randomizeColor }) => (
+interface Props extends State {
+  randomizeColor: () => void
+}
+
+const @@component@@ = ({ color, randomizeColor }: Props) => (
   <Fragment>
     <header className='pv5 bg-gold black-80 tc'>
       <h1 className='mt0 mb1'>Create New App</h1>
@@ -13,7 +19,7 @@ const Home = ({ color, randomizeColor }) => (
       Go save the world with <span className='b' style={{ color }}>JavaScript</span>
     </div>
     <div className='tc'>
-      and edit <code>src/components/<span className='b'>Home.jsx</span></code>!
+      and edit <code>src/components/<span className='b'>@@component@@.tsx</span></code>!
     </div>
     <div className='df justify-center mt3'>
       <div className='ph3 pv2 no-select ba-1px pointer' onClick={randomizeColor}>
@@ -23,9 +29,9 @@ const Home = ({ color, randomizeColor }) => (
   </Fragment>
 )
 
-const mapStateToProps = ({ home }) => home
-const mapDispatchToProps = dispatch => ({
+const mapStateToProps = ({ @@reducer@@ }: { @@reducer@@: State }) => @@reducer@@
+const mapDispatchToProps = (dispatch: Dispatch) => ({
   randomizeColor: () => dispatch(changeColor())
 })
 
-export default connect(mapStateToProps, mapDispatchToProps)(Home)
+export default connect(mapStateToProps, mapDispatchToProps)(@@component@@)
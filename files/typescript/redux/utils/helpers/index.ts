@@ -0,0 +1,16 @@
+// https://goo.gl/MrXVRS - micro UUID!
+export const uuid = (): string => (
+  '10000000-1000-4000-8000-100000000000'.replace(/[018]/g, c => (+c ^ Math.random() * 16 >> +c / 4).toString(16))
+)
+
+export const randomNum = (min: number, max: number): number => Math.floor(Math.random() * (max - min + 1) + min)
+
+const letters = 'abcdef'
+const numbers = '0123456789'
+export const randomHexColor = (): string => (
+  letters.split('').reduce(hex => {
+    const set = randomNum(0, 1) ? letters : numbers
+    const num = randomNum(0, set.length - 1)
+    return `${hex}${set[num]}`
+  }, '#')
+)
@@ -0,0 +1,19 @@
+import { AnyAction } from 'redux'
+import { randomHexColor } from 'helpers'
+
+export interface State {
+  color: string
+}
+
+const initialState: State = { color: '#ffd700' }
+
+const @@reducer@@Reducer = (state = initialState, action: AnyAction): State => {
+  switch (action.type) {
+    case 'CHANGE_COLOR':
+      return { ...state, color: randomHexColor() }
+    default:
+      return state
+  }
+}
+
+export default @@reducer@@Reducer
@@ -0,0 +1,136 @@
+/*
+  Please be sure to EXCLUDE `.env` & `.env.local` from version control.
+  In production, whatever host you use to deploy your server will
+  give you options to set environment config variables. Be sure to
+  set the variables found in `.env.example` accordingly.
+  Also for production, don't forget to change the start script in
+  `package.json` to only start the API server in production mode!
+*/
+import path from 'path'
+import express from 'express'
+import helmet from 'helmet' // Sets various http headers - https://goo.gl/g7K98x
+import compression from 'compression' // Gzip! - https://goo.gl/ShNShk
+import bp from 'body-parser' // Makes `req.body` available - https://goo.gl/0UviQN
+import session from 'express-session' // Save data across requests - https://goo.gl/GEFgyQ
+// @@if mongo@@
+import connectMongo from 'connect-mongodb-session'
+import { sessionStoreErr } from './api/utilities/handleErrors'
+// @@endif@@
+// @@if sqlite@@
+import connectSqlite from 'connect-sqlite3'
+// @@endif@@
+// @@if postgres@@
+import connectPg from 'connect-pg-simple'
+import { sessionStoreErr } from './api/utilities/handleErrors'
+// @@endif@@
+import home from './api/home'
+import loadEnv from './env'
+
+loadEnv('server') // Loads `.env` & the file for NODE_ENV, then checks them - see `env.js`.
+
+// @@if mongo@@
+const { mongoURI = '', mongoSession = '', appName, secret = '', previousSecret, API_PORT } = process.env // Environment variables.
+// @@endif@@
+// @@if sqlite@@
+const { sqliteFile = '', sqliteSession, appName, secret = '', previousSecret, API_PORT } = process.env // Environment variables.
+// @@endif@@
+// @@if postgres@@
+const { postgresURI, postgresSession, appName, secret = '', previousSecret, API_PORT } = process.env // Environment variables.
+// @@endif@@
+const app = express()
+
+// @@if mongo@@
+// MongoDB
+const MongoStore = connectMongo(session)
+const store = new MongoStore({
+  uri: mongoURI,
+  collection: mongoSession
+})
+
+// Catch & record store errors in the database.
+store.on('error', sessionStoreErr)
+// @@endif@@
+// @@if sqlite@@
+// SQLite - sessions are kept in a table of the app's database file, next to this one.
+const SQLiteStore = connectSqlite(session)
+const store = new SQLiteStore({
+  dir: path.dirname(path.resolve(__dirname, sqliteFile)),
+  db: path.basename(sqliteFile),
+  table: sqliteSession
+}) as session.Store // Its types describe an older `express-session` store than the one installed.
+// @@endif@@
+// @@if postgres@@
+// PostgreSQL - the sessions table is created the first time the server starts.
+const PgStore = connectPg(session)
+const store = new PgStore({
+  conString: postgresURI,
+  tableName: postgresSession,
+  createTableIfMissing: true,
+  // Catch & record store errors in the database - e.x. errorLog('Failed to prune sessions:', err).
+  errorLog: (...args: unknown[]) => sessionStoreErr(args.find((arg): arg is Error => arg instanceof Error) || new Error(args.join(' ')))
+})
+// @@endif@@
+
+/*
+  Express middleware.
+  Express security best practices - http://goo.gl/LBmJXK
+*/
+app.use(
+  express.static( // https://goo.gl/759KqP
+    // @@if monorepo@@
+    path.resolve(__dirname, '../client/dist'), // Built by the client package.
+    // @@else@@
+    path.resolve(__dirname, 'dist'),
+    // @@endif@@
+    // `no-cache` still caches but it checks with the server via etag to ensure the latest version.
+    { setHeaders: res => res.set('Cache-Control', 'no-cache') } // Cache static assets :)
+  ),
+  helmet(), // Headers security.
+  compression(), // GZIP
+  bp.json(), // http://goo.gl/ixEWAa, https://goo.gl/Xp2pBC, https://goo.gl/g9V9AM
+  bp.urlencoded({ extended: false }), // http://goo.gl/ixEWAa, https://goo.gl/jkPwBu
+  session({
+    store,
+    name: appName, // Needed if multiple apps running on same host.
+    resave: false, // Forces cookie to be resaved back to the session store even if no changes.
+    saveUninitialized: true, // Forces a session that is uninitialized to be saved to the store.
+    // Signs the session ID cookie. After `cna secret rotate`, cookies signed with the old secret still work.
+    secret: previousSecret ? [secret, previousSecret] : secret,
+    cookie: {
+      maxAge: undefined, // Default - closing browser removes cookie & session.
+      httpOnly: true // Default = `true` - on the client, `document.cookie` will not be available.
+    }
+  })
+)
+
+/*
+  ADD YOUR CUSTOM ENDPOINTS HERE
+  ------------------------------
+*/
+// app.get('/my-endpoint', myEndpoint)
+
+
+/*
+  Catch-all endpoint which delivers `index.html` and let's
+  the front-end handle all the routing including 404's.
+  This should be the last chronological GET route.
+*/
+app.get('*', home)
+
+// And so it begins...
+app.listen(Number(API_PORT), () => console.log(`API listening on port ${API_PORT}...`)).on('error', portProblem)
+
+/*
+  Something else is using the port (or it needs admin rights) - say so & stop,
+  rather than crash with a stack trace.
+*/
+function portProblem(err: NodeJS.ErrnoException) {
+  const problems: Record<string, string> = {
+    EADDRINUSE: `Port ${API_PORT} is already in use. Stop whatever is using it or change API_PORT in .env.`,
+    EACCES: `Port ${API_PORT} needs admin rights. Use a port above 1023 for API_PORT in .env.`
+  }
+  if (!err.code || !problems[err.code]) throw err
+
+  console.error(`\n${problems[err.code]}\n`)
+  process.exit(1)
+}
@@ -0,0 +1,75 @@
+/*
+  Please be sure to EXCLUDE `.env` & `.env.local` from version control.
+  In production, whatever host you use to deploy your server will
+  give you options to set environment config variables. Be sure to
+  set the variables found in `.env.example` accordingly.
+  Also for production, don't forget to change the start script in
+  `package.json` to only start the API server in production mode!
+*/
+import path from 'path'
+import express from 'express'
+import helmet from 'helmet' // Sets various http headers - https://goo.gl/g7K98x
+import compression from 'compression' // Gzip! - https://goo.gl/ShNShk
+import bp from 'body-parser' // Makes `req.body` available - https://goo.gl/0UviQN
+import home from './api/home'
+import loadEnv from './env'
+
+loadEnv('server') // Loads `.env` & the file for NODE_ENV, then checks them - see `env.js`.
+
+const notProd = process.env.NODE_ENV !== 'production'
+const { API_PORT, DEV_SERVER_PORT } = process.env // Environment variables.
+const app = express()
+
+/*
+  Express middleware.
+  Express security best practices - http://goo.gl/LBmJXK
+*/
+app.use(
+  express.static( // https://goo.gl/759KqP
+    // @@if monorepo@@
+    path.resolve(__dirname, '../client/dist'), // Built by the client package.
+    // @@else@@
+    path.resolve(__dirname, 'dist'),
+    // @@endif@@
+    // `no-cache` still caches but it checks with the server via etag to ensure the latest version.
+    { setHeaders: res => res.set('Cache-Control', 'no-cache') } // Cache static assets :)
+  ),
+  helmet(), // Headers security.
+  compression(), // GZIP
+  bp.json(), // http://goo.gl/ixEWAa, https://goo.gl/Xp2pBC, https://goo.gl/g9V9AM
+  bp.urlencoded({ extended: false }) // http://goo.gl/ixEWAa, https://goo.gl/jkPwBu
+)
+
+/*
+  ADD YOUR CUSTOM ENDPOINTS HERE
+  ------------------------------
+*/
+// app.get('/my-endpoint', myEndpoint)
+
+
+/*
+  Catch-all endpoint which delivers `index.html` and let's
+  the front-end handle all the routing including 404's.
+  This should be the last chronological GET route.
+*/
+app.get('*', home)
+
+// And so it begins...
+app.listen(Number(API_PORT), () => {
+  notProd && console.log(`💻  => Application running in browser at http://localhost:${DEV_SERVER_PORT}\n\n`)
+}).on('error', portProblem)
+
+/*
+  Something else is using the port (or it needs admin rights) - say so & stop,
+  rather than crash with a stack trace.
+*/
+function portProblem(err: NodeJS.ErrnoException) {
+  const problems: Record<string, string> = {
+    EADDRINUSE: `Port ${API_PORT} is already in use. Stop whatever is using it or change API_PORT in .env.`,
+    EACCES: `Port ${API_PORT} needs admin rights. Use a port above 1023 for API_PORT in .env.`
+  }
+  if (!err.code || !problems[err.code]) throw err
+
+  console.error(`\n${problems[err.code]}\n`)
+  process.exit(1)
+}
@@ -0,0 +1,14 @@
+// Things TypeScript can't know about on its own.
+
+// Set by Webpack's `DefinePlugin` - see `webpack.config.js`.
+declare const __DEV__: boolean
+declare const __PROD__: boolean
+
+// https://goo.gl/XRLgX8 - Redux DevTools extension.
+interface Window {
+  __REDUX_DEVTOOLS_EXTENSION_COMPOSE__?: typeof import('redux').compose
+}
+
+// Stylesheets are handled by Webpack.
+declare module '*.scss'
+declare module '*.css'
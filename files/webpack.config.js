@@ -1,6 +1,15 @@
-require('dotenv').load() // https://goo.gl/Cj8nKu
+/*
+  Loads `.env` & the file for NODE_ENV, then checks them - see `env.js`.
+  Production builds (e.x. on a CI server) don't need the dev server's variables.
+*/
+// @@if monorepo@@
+require('../server/env')(process.env.NODE_ENV === 'production' ? null : 'webpack') // With the server, which needs it in production.
+// @@else@@
+require('./env')(process.env.NODE_ENV === 'production' ? null : 'webpack')
+// @@endif@@
 const { NODE_ENV, DEV_SERVER_PORT, API, API_PORT } = process.env
 const path = require('path')
+const net = require('net')
 const webpack = require('webpack')
 const MiniCssExtractPlugin = require('mini-css-extract-plugin')
 const CleanWebpackPlugin = require('clean-webpack-plugin')
@@ -21,7 +30,7 @@ console.log(`
 
 if (NODE_ENV === 'production') console.log('Building for production...\n\n')
 
-module.exports = (env, argv) => ({
+const config = (env, argv) => ({
   // https://goo.gl/R88FtY - new in Webpack 4.
   mode: env.prod ? 'production' : 'development',
 
@@ -37,7 +46,11 @@ module.exports = (env, argv) => ({
     The point(s) to enter the application.
   */
   entry: [
+    // @@if typescript@@
+    path.resolve(__dirname, 'src/entry.tsx')
+    // @@else@@
     path.resolve(__dirname, 'src/entry.js')
+    // @@endif@@
   ],
 
   /*
@@ -121,10 +134,17 @@ module.exports = (env, argv) => ({
         ----------
         * ESx => ES5
         * JSX => ES5
+        // @@if typescript@@
+        * TypeScript => ES5 (types are stripped, not checked - `npm run typecheck` does that)
+        // @@endif@@
       */
       {
         // sideEffects: false,
+        // @@if typescript@@
+        test: /\.(js|jsx|ts|tsx)$/,
+        // @@else@@
         test: /\.(js|jsx)$/,
+        // @@endif@@
         include: path.resolve(__dirname, 'src'),
 
         /*
@@ -142,6 +162,9 @@ module.exports = (env, argv) => ({
                 - @babel/polyfill (used in the entry.js file)
                 - @babel/preset-env
                 - @babel/preset-react
+                // @@if typescript@@
+                - @babel/preset-typescript
+                // @@endif@@
                 - @babel/plugin-proposal-object-rest-spread
                 - @babel/plugin-proposal-class-properties
                 - @babel/plugin-syntax-dynamic-import
@@ -165,7 +188,12 @@ module.exports = (env, argv) => ({
                     useBuiltIns: 'entry' // https://goo.gl/x16mAq
                   }
                 ],
+                // @@if typescript@@
+                '@babel/preset-react', // https://goo.gl/4aEFV3
+                '@babel/preset-typescript' // Last so it runs first.
+                // @@else@@
                 '@babel/preset-react' // https://goo.gl/4aEFV3
+                // @@endif@@
               ],
 
               // https://goo.gl/N9gaqc - List of Babel plugins.
@@ -269,7 +297,12 @@ module.exports = (env, argv) => ({
             }
           }
         ]
-      }
+      },
+      // @@if webpackRules@@
+
+      // Rules added by create-new-app plugins.
+      @@webpackRules@@
+      // @@endif@@
     ]
   },
 
@@ -281,13 +314,17 @@ module.exports = (env, argv) => ({
       Create aliases to import certain modules more easily.
       Eliminates having to type out ../../../ all the time.
     */
-    alias: @@__PLACEHOLDER_WEBPACK_ALIAS__@@
+    alias: @@webpackAlias@@
 
     /*
       https://goo.gl/57vTmD
       Automatically resolve certain extensions without having to type them out.
     */
+    // @@if typescript@@
+    extensions: ['.ts', '.tsx', '.js', '.jsx', '.json', '.scss']
+    // @@else@@
     extensions: ['.js', '.jsx', '.json', '.scss']
+    // @@endif@@
   },
 
   // https://goo.gl/bxPV7L
@@ -325,7 +362,8 @@ module.exports = (env, argv) => ({
         Avoids warnings in the console.
       */
       'process.env': {
-        NODE_ENV: JSON.stringify(env.prod ? 'production' : 'development')
+        NODE_ENV: JSON.stringify(env.prod ? 'production' : 'development'),
+        ...publicEnv() // `PUBLIC_*` & the variables in `publicKeys` - see below.
       }
     }),
 
@@ -473,3 +511,55 @@ module.exports = (env, argv) => ({
   */
   target: 'web'
 })
+
+/*
+  The environment variables the browser can read as `process.env.X` - anything starting
+  with `PUBLIC_` (e.x. PUBLIC_MAPS_KEY in `.env`) plus the ones listed here. Their values
+  end up in the bundle for anyone to see, so the build stops rather than inline a secret -
+  a name that looks like one, or the value of `secret`, `previousSecret` or a database's URI.
+*/
+const publicKeys = ['appName', 'title', 'description', 'API']
+const privateKeys = ['secret', 'previousSecret', 'mongoURI', 'postgresURI']
+const looksPrivate = /secret|password|mongo|postgres/i
+
+function publicEnv() {
+  const keys = Object.keys(process.env).filter(key => key.startsWith('PUBLIC_') || publicKeys.includes(key))
+  const leaks = keys.filter(key => (
+    looksPrivate.test(key) || privateKeys.some(name => process.env[name] && process.env[name] === process.env[key])
+  ))
+
+  if (leaks.length) {
+    console.error(`\nRefusing to put ${leaks.join(', ')} in the browser bundle - the name or value looks like a secret.\n`)
+    process.exit(1)
+  }
+
+  return keys.reduce((acc, key) => ({ ...acc, [key]: JSON.stringify(process.env[key]) }), {})
+}
+
+/*
+  Something else using the dev server's port (or it needs admin rights)? Say so & stop,
+  rather than let the dev server crash with a stack trace. Webpack waits for configs
+  that are promises. Only the dev server sets `WEBPACK_DEV_SERVER` - `build:dev` never
+  uses the port, so it isn't checked.
+*/
+function checkPort(port) {
+  const problems = {
+    EADDRINUSE: `Port ${port} is already in use. Stop whatever is using it or change DEV_SERVER_PORT in .env.`,
+    EACCES: `Port ${port} needs admin rights. Use a port above 1023 for DEV_SERVER_PORT in .env.`
+  }
+
+  return new Promise(resolve => {
+    const server = net.createServer()
+
+    server.once('error', err => {
+      if (!problems[err.code]) return resolve()
+
+      console.error(`\n${problems[err.code]}\n`)
+      process.exit(1)
+    })
+    server.once('listening', () => server.close(resolve))
+    server.listen(port)
+  })
+}
+
+module.exports = (env, argv) => process.env.WEBPACK_DEV_SERVER ? checkPort(DEV_SERVER_PORT).then(() => config(env, argv)) : config(env, argv)
@@ -0,0 +1,22 @@
+// Programmatic entry point - `require('create-new-app')`.
+const createApp = require('./modules/createApp')
+const resumeApp = require('./modules/resumeApp')
+const addFeatures = require('./modules/addFeatures')
+const upgradeProject = require('./modules/upgradeProject')
+const diagnoseProject = require('./modules/diagnoseProject')
+const checkOutdated = require('./modules/checkOutdated')
+const warmCache = require('./modules/warmCache')
+const rotateSecret = require('./modules/rotateSecret')
+const errors = require('./modules/errors')
+
+module.exports = {
+  createApp,
+  resumeApp,
+  addFeatures,
+  upgradeProject,
+  diagnoseProject,
+  checkOutdated,
+  warmCache,
+  rotateSecret,
+  ...errors
+}
@@ -6,192 +6,281 @@ const readline = require('readline')
 
 // External modules.
 const fs = require('fs-extra')
-const validateName = require('validate-npm-package-name')
 const chalk = require('chalk')
 const cla = require('command-line-args')
 
-// File creators.
-const dotEnv = require('./file-creators/dotEnv')
-const packageJson = require('./file-creators/packageJson')
-const webpackConfig = require('./file-creators/webpackConfig')
-
 // Custom modules.
-const run = require('./modules/run')
+const {
+  createApp,
+  resumeApp,
+  addFeatures,
+  upgradeProject,
+  diagnoseProject,
+  checkOutdated,
+  warmCache,
+  rotateSecret,
+  MissingNameError,
+  InvalidNameError,
+  DirectoryExistsError,
+  ConflictError
+} = require('./index')
+const optionDefinitions = require('./modules/optionDefinitions')
+const camelCase = require('./modules/camelCase')
 const isOnline = require('./modules/isOnline')
-const { promptYN, promptQ } = require('./modules/prompts')
-const safeToCreateDir = require('./modules/safeToCreateDir')
+const { loadConfig, getPreset, sanitize, savePreset } = require('./modules/config')
+const { loadPlugins, pluginDefinitions } = require('./modules/loadPlugins')
+const { runCommand } = require('./modules/packageManager')
+const { disablePrompts, promptSelect, BACK } = require('./modules/prompts')
+const { resumeFile } = require('./modules/runCreation')
+const guidedProcess = require('./modules/guidedProcess')
 const showVersion = require('./modules/showVersion')
 const showHelp = require('./modules/showHelp')
+const showDryRun = require('./modules/showDryRun')
 const noName = require('./modules/noName')
 const badName = require('./modules/badName')
-const portValidator = require('./modules/portValidator')
-const adjustPkgJson = require('./modules/adjustPkgJson')
 
 // Other.
 const cwd = process.cwd()
-const dir = text => path.resolve(__dirname, text)
 
 // Avoid Node complaining about unhandled rejection errors.
 process.on('unhandledRejection', err => console.log(err))
 
-/*
-  Options
-  -------------------
-
-  appName
-    * new folder created with this name
-    * package.json "name" field
-    * mongoURI and mongoSession variables in `.env` use this name (if `mongo` is used)
-    * set as a variable in `.env`
-
-  redux
-    * `utils` folder created with redux-specific sub-folders
-    * modifies `entry.js` & `App.jsx` accordingly
-
-  router
-    * creates `Home.jsx`, and `NotFound.jsx`
-    * modifies `entry.js` accordingly
-
-  version
-    * displays the current version of this package
-    * ignores any other CLI arguments and only displays the version number
-
-  offline
-    * forces the `npm install` to use local cache
-
-  title
-    * sets the webpage title generated by Webpack's `HtmlWebpackPlugin`
-
-  force
-    * skips creating a directory for the app
-    * used for installing in a pre-existing directory
-    * use with caution
-
-  author, description, email, keywords
-    * populates package.json field names of the same value
-
-  api
-    * sets the `devServer.proxy[api]` key value
-    * for example '/api' would be the value
-    * set as API variable in the `.env` file
-
-  apiPort
-    * sets the `devServer.proxy[api]` port value
-    * triggers the use of the `api` default value
-    * defaults to 3000
-    * set as the API_PORT variable in the `.env` file
-
-  express
-    * creates `server.js` and the `api` folder WITHOUT a `utilities` sub-folder
-
-  mongo
-    * creates `server.js` and the `api` folder WITH a `utilities` sub-folder
-    * sets up MongoDB
-
-  devServerPort
-    * sets the `devServer.port` value
-    * defaults to 8080
-    * set as DEV_SERVER_PORT variable in the `.env` file
-*/
+// Subcommands - `cna add redux`, etc. Anything else is the name of a new app.
+const commands = {
+  resume: resumeCommand,
+  add: addCommand,
+  upgrade: upgradeCommand,
+  doctor: doctorCommand,
+  outdated: outdatedCommand,
+  cache: cacheCommand,
+  secret: secretCommand
+}
 
-const optionDefinitions = [
-  // Information only.
-  { name: 'version', alias: 'v', type: Boolean },
-  { name: 'help', alias: 'h', type: Boolean },
+// Let's go! Push the first dominoe.
+const command = commands[process.argv[2]]
+command ? command(process.argv.slice(3)) : letsGo()
+async function letsGo() {
+  const cliOptions = parseArgs()
+  const { preset, savePreset: presetName, yes, ci, json } = cliOptions
 
+  // `--yes`, `--ci` & `--json` never prompt, clear the screen, or wait on the user.
+  const nonInteractive = !!(yes || ci || json)
+  const onProgress = json ? reportJson : report
 
-  { name: 'appName', type: String, defaultOption: true }, // Main argument.
-  { name: 'title', alias: 't', type: String, defaultValue: '' },
+  if (nonInteractive) {
+    disablePrompts()
+  } else {
+    // Clear the console - https://goo.gl/KyrhG2
+    readline.cursorTo(process.stdout, 0, 0)
+    readline.clearScreenDown(process.stdout)
+  }
 
-  // Optional addons.
-  { name: 'redux', alias: 'x', type: Boolean, defaultValue: false },
-  { name: 'router', alias: 'r', type: Boolean, defaultValue: false },
+  try {
+    // STEP 1 - check if we're online (that the npm registry is reachable).
+    const online = await isOnline({ onSlow: () => onProgress({ type: 'unstable-connection' }) })
+
+    // STEP 2 - gather the options from `.cnarc` files, presets, plugins & the CLI.
+    const config = loadConfig()
+    const rawPreset = preset ? getPreset(config, preset) : {}
+
+    // Plugins can add CLI options, so they're loaded before the final look at the arguments.
+    const pluginsOf = (...sources) => sources.reduce((acc, opts) => acc.concat(opts.with || []), [])
+    const pluginNames = pluginsOf(config.defaults, rawPreset, cliOptions)
+    const plugins = loadPlugins(pluginNames)
+    const definitions = pluginDefinitions(plugins)
+    const args = stripCliOptions(plugins.length ? parseArgs(definitions) : cliOptions)
+
+    const presetOptions = sanitize(rawPreset, definitions, `"${preset}" preset`)
+    const defaults = { ...sanitize(config.defaults, definitions), ...presetOptions }
+
+    // Called with no arguments (other than presets) - decide between a guided process or not.
+    const guided = !nonInteractive && !Object.keys(args).length
+    const answers = guided ? await guidedProcess(defaults, cwd) : args
+    if (!answers) return console.log('\nCancelled - nothing was created.')
+    const options = { ...defaults, ...answers, with: pluginNames, online }
+
+    // `cna <app-name> [options] --save-preset <name>`
+    if (presetName) {
+      const presetPlugins = pluginsOf(rawPreset, cliOptions)
+      const saved = { ...presetOptions, ...answers, ...(presetPlugins.length && { with: presetPlugins }) }
+      const { file } = savePreset(presetName, saved, definitions)
+      onProgress({ type: 'preset-saved', name: presetName, file })
+
+      // Simply saving a preset, not creating an app.
+      if (!options.appName) return
+    }
+
+    // STEPS 3 - 5 - create the project & install its dependencies.
+    const result = await interruptible(signal => createApp({ ...options, silent: json, onProgress, signal }))
+
+    if (json) return reportJson({ type: 'summary', ...result })
+    if (result.dryRun) return showDryRun(result)
+    !result.sandbox && showSuccess(result)
+  } catch (err) {
+    json ? reportJson({ type: 'error', name: err.name, code: err.code, message: err.message }) : handleError(err)
+    if (err.rollback) await rollBackOrKeep(err, nonInteractive, json)
+    process.exit(1)
+  }
+}
 
-  // Flags.
-  { name: 'offline', alias: 'o', type: Boolean, defaultValue: false },
-  { name: 'force', alias: 'f', type: Boolean, defaultValue: false }, // Use with caution.
-  { name: 'sandbox', alias: 's', type: Boolean, defaultValue: false },
+// `cna resume [app-dir]` - finishes creating an app that failed part way through.
+function resumeCommand(argv) {
+  const definitions = [
+    { name: 'app-dir', type: String, defaultOption: true },
+    { name: 'offline', alias: 'o', type: Boolean },
+    { name: 'pm', type: String }
+  ]
+  const resume = options => interruptible(signal => resumeApp({ ...options, signal }))
 
-  // `package.json` fields.
-  { name: 'author', type: String, defaultValue: '' },
-  { name: 'description', type: String, defaultValue: '' },
-  { name: 'email', type: String, defaultValue: '' },
-  { name: 'keywords', type: String, multiple: true, defaultValue: [] },
+  return runSubcommand(argv, definitions, resume, showSuccess)
+}
 
-  // API / server / devServer options.
-  { name: 'devServerPort', type: val => portValidator(val, 'dev', 8080), defaultValue: 8080 },
-  { name: 'apiPort', type: val => portValidator(val, 'api', 3000), defaultValue: 3000 },
-  { name: 'api', type: String, defaultValue: null }, // No default from the command line, but defaulted in `dotEnv.js`.
-  { name: 'express', alias: 'e', type: Boolean },
-  { name: 'mongo', alias: 'm', type: Boolean }
-]
+// `cna add <feature...>` - adds features to the project in the current directory.
+function addCommand(argv) {
+  const definitions = [
+    { name: 'features', type: String, multiple: true, defaultOption: true },
+    { name: 'force', alias: 'f', type: Boolean },
+    { name: 'offline', alias: 'o', type: Boolean },
+    { name: 'pm', type: String },
+    { name: 'dry-run', type: Boolean }
+  ]
+
+  return runSubcommand(argv, definitions, addFeatures, showAdded)
+}
 
-// Let's go! Push the first dominoe.
-letsGo()
-async function letsGo() {
-  // Clear the console - https://goo.gl/KyrhG2
-  readline.cursorTo(process.stdout, 0, 0)
-  readline.clearScreenDown(process.stdout)
+// `cna upgrade` - updates the project in the current directory to this version's templates.
+function upgradeCommand(argv) {
+  const definitions = [
+    { name: 'offline', alias: 'o', type: Boolean },
+    { name: 'pm', type: String },
+    { name: 'dry-run', type: Boolean }
+  ]
 
+  return runSubcommand(argv, definitions, upgradeProject, showUpgraded)
+}
 
-  // STEP 1 - check if we're online.
-  const online = await isOnline()
+// `cna doctor` - checks the project in the current directory for problems.
+async function doctorCommand(argv) {
+  const result = await runSubcommand(argv, [], diagnoseProject, showDiagnosis)
+  if (result && !result.healthy) process.exitCode = 1
+}
 
-  // STEP 2 - decide between a guided process or not.
-  let options
+// `cna outdated` - compares the dependencies apps get with what's on the registry.
+async function outdatedCommand(argv) {
+  const definitions = [{ name: 'registry', type: String }]
+  const result = await runSubcommand(argv, definitions, checkOutdated, showOutdated)
+  if (result && !result.compatible) process.exitCode = 1
+}
 
-  // Called with no arguments.
-  if (process.argv.length === 2) {
-    options = await guidedProcess(online)
+// `cna cache warm` - caches every package apps can need, so `--offline` works later on.
+function cacheCommand([action, ...argv]) {
+  if (action !== 'warm') return showHelp()
 
-  // Called with 1 or more arguments.
-  } else {
-    const parsedArgs = parseArgs(online)
-    options = processUsersCommand(parsedArgs)
+  const definitions = [
+    { name: 'pm', type: String },
+    { name: 'registry', type: String }
+  ]
+  return runSubcommand(argv, definitions, warmCache, showWarmed)
+}
+
+// `cna secret rotate` - a new session secret in `.env`, keeping the old one for existing sessions.
+function secretCommand([action, ...argv]) {
+  if (action !== 'rotate') return showHelp()
+
+  const definitions = [{ name: 'length', type: Number }]
+  return runSubcommand(argv, definitions, rotateSecret, showRotated)
+}
+
+// Parses a subcommand's arguments, runs it & reports the outcome - `--json` works for all of them.
+async function runSubcommand(argv, definitions, action, show) {
+  const args = cla([
+    ...definitions,
+    { name: 'json', type: Boolean },
+    { name: 'help', alias: 'h', type: Boolean }
+  ], { argv })
+  const options = Object.keys(args).reduce((acc, key) => ({ ...acc, [camelCase(key)]: args[key] }), {})
+  const { json, help } = options
+
+  if (help) return showHelp()
+
+  try {
+    const result = await action({ ...options, silent: json, onProgress: json ? reportJson : report })
+    json ? reportJson({ type: 'summary', ...result }) : show(result)
+    return result
+  } catch (err) {
+    json ? reportJson({ type: 'error', name: err.name, code: err.code, message: err.message }) : handleError(err)
+    if (err.rollback) await rollBackOrKeep(err, json, json)
+    process.exit(1)
   }
+}
 
-  // STEP 3 - create project directory or sandbox project.
-  if (options.sandbox) return createSandbox(options)
-  createProjectDirectory(options)
+/*
+  Ctrl + c stops creating an app after the current step, so it can be rolled back or resumed.
+  Only `aborted` is ever read, so a plain object does - `AbortController` needs Node 15.
+*/
+async function interruptible(action) {
+  const signal = { aborted: false }
+  const abort = () => (signal.aborted = true)
 
-  // STEP 4 - create project files & folders.
-  createFiles(options)
+  process.on('SIGINT', abort)
+  try {
+    return await action(signal)
+  } finally {
+    process.removeListener('SIGINT', abort)
+  }
+}
+
+/*
+  Creating an app failed part way through - undo everything it did, or keep it to
+  finish with `cna resume`. Non-interactive runs always roll back.
+*/
+async function rollBackOrKeep(err, nonInteractive, json) {
+  const resume = `cna resume ${path.relative(cwd, err.appDir) || '.'}`
+  let keep = false
+
+  while (!nonInteractive) {
+    console.log('')
+    keep = await promptSelect({
+      question: 'The app is only partly created. What would you like to do?',
+      choices: [
+        { title: 'Roll back - remove everything that was created', value: false },
+        { title: `Keep it - finish it later with \`${resume}\``, value: true }
+      ],
+      initial: false
+    }).catch(() => false)
+    if (keep !== BACK) break
+  }
 
-  // STEP 5 - install dependecies.
-  installDependencies(options)
+  if (keep) {
+    return json
+      ? reportJson({ type: 'kept', appDir: err.appDir, step: err.step })
+      : console.log(`Kept ${chalk.green(err.appDir)}. Run ${chalk.cyan(resume)} to pick up where it left off.`)
+  }
+
+  err.rollback()
+  json
+    ? reportJson({ type: 'rolled-back', appDir: err.appDir })
+    : console.log('Rolled back - everything that was created has been removed.')
 }
 
+// Strips the options that only matter to the CLI itself.
+function stripCliOptions({ preset, savePreset, yes, ci, json, with: plugins, ...options }) {
+  return options
+}
 
-// Analyzes the CLI arguments & returns an object choc full of properties.
-function parseArgs(online) {
+/*
+  Analyzes the CLI arguments & returns an object choc full of properties.
+  Only options explicitly used on the command line are returned so that
+  they can take precedence over values from `.cnarc` files & presets.
+  `createApp` fills in the defaults for everything else.
+*/
+function parseArgs(pluginDefinitions = []) {
   // const [nodeLocation, thisFile, ...args] = process.argv
-  let options = cla(optionDefinitions, { partial: true })
-  const {
-    version,
-    help,
-    appName,
-    api,
-    offline,
-    express,
-    mongo,
-    redux,
-    router,
-    sandbox
-  } = options
-  const validation = validateName(appName)
-
-
-  // Add properties we'll use down the line.
-  options = {
-    ...options,
-    online, // Actual online status.
-    redux,
-    router,
-    offline: !online || offline, // Argument option from the CLI to process *as* offline.
-    api: api ? api.replace(/ /g, '') : null,
-    server: !!(express || mongo),
-    appDir: `${cwd}/${appName}`
-  }
+  const definitions = [...optionDefinitions, ...pluginDefinitions]
+    .map(({ defaultValue, ...definition }) => definition)
+  const { _unknown, ...args } = cla(definitions, { partial: true })
+  const options = Object.keys(args).reduce((acc, key) => ({ ...acc, [camelCase(key)]: args[key] }), {})
+  const { version, help } = options
 
   // `cna -v` or `cna --version`
   if (version) return showVersion() || process.exit()
@@ -199,243 +288,241 @@ function parseArgs(online) {
   // `cna -h` or `cna --help`
   if (help) return showHelp() || process.exit()
 
-  safeToCreateDir(options) || process.exit()
-
-  if (sandbox) return { ...options, sandbox: true }
-  if (!validation.validForNewPackages) return badName(appName, validation) || process.exit()
   return options
 }
 
-// Creates an object choc full of properties via a series of prompts.
-async function guidedProcess(online) {
-  /*
-    Questions asked during the guided process:
-      1.  App name?
-      2.  Include redux?
-      3.  Include router?
-      4.  Express server?
-      5.  MongoDB?
-  */
-
-  // Aggregate the default CLI values into an object so we can use those.
-  const defaultOptions = optionDefinitions
-    .filter(({ defaultValue }) => defaultValue !== undefined)
-    .reduce((acc, { name, defaultValue }) => ({ ...acc, [name]: defaultValue }), {})
-
-  const n = chalk.bold('n')
-  const appName = await promptQ('Enter a name for your app:')
-  const appDir = `${cwd}/${appName}`
-
-  /*
-    This may seem redundant since we check this again later down the line
-    but we don't want the user to go through the whole process of answering
-    these questions only to be rejected later. Reject as soon as possible.
-  */
-  safeToCreateDir({ appDir, appName }) || process.exit()
-  const validation = validateName(appName)
-  if (!validation.validForNewPackages) return badName(appName, validation) || process.exit()
-
-  console.log(`\nPressing \`enter\` defaults to ${chalk.bold('no')} for the following...\n`)
-  const redux = await promptYN('Would you like to include Redux?', false)
-  const router = await promptYN('Would you like to include React Router?', false)
-  const express = await promptYN('Would you like to include an Express server?', false)
-  const mongo = express && await promptYN('Would you like to include MongoDB?', false)
-
-  return {
-    ...defaultOptions, // Default CLI values.
-
-    // Values from questions.
-    appName,
-    redux,
-    router,
-    express,
-    mongo,
-    online,
-    offline: !online,
-
-    // Calculated properties.
-    server: express || mongo,
-    appDir,
+// Logs the progress events emitted by `createApp`.
+function report({ type, ...data }) {
+  switch (type) {
+    case 'unstable-connection':
+      console.log('\nYour internet connection appears to be unstable.')
+      return console.log('Proceeding with offline mode...\n')
+    case 'preset-saved':
+      return console.log(`Saved the ${chalk.bold(data.name)} preset to ${chalk.green(data.file)}.`)
+    case 'offline':
+      !data.online && console.log(chalk.yellow('You appear to be offline.'))
+      return console.log(chalk.yellow(`Installing via local ${data.pm} cache.`))
+    case 'port-busy':
+      return console.log(chalk.yellow(`Port ${data.port} (--${data.option}) is already in use - using ${data.replacement} instead.`))
+    case 'port-privileged':
+      return console.log(chalk.yellow(`Port ${data.port} (--${data.option}) is below 1024 - most systems only let administrators listen on those.`))
+    case 'force':
+      return console.log(`Force installing in pre-existing directory ${chalk.green(data.appName)}...`)
+    case 'dir-created': {
+      const greenDir = chalk.green(`${path.dirname(data.appDir)}/`)
+      const boldName = chalk.green.bold(data.appName)
+      const boldSandbox = chalk.bold(' sandbox')
+      return console.log(`\nCreating a new${data.sandbox ? boldSandbox : ''} app in ${greenDir}${boldName}.`)
+    }
+    case 'cache-missing':
+      console.log(chalk.yellow(`\nThese packages aren't in the ${data.pm} cache, so installing offline will likely fail:`))
+      console.log(`  ${data.packages.join(', ')}`)
+      return console.log(`Run ${chalk.cyan('cna cache warm')} while online to cache everything apps can need.`)
+    case 'install-start':
+      data.offline && console.log(`\nIt looks like you're offline or have a bad connection.`)
+      return console.log(`Installing project dependencies via ${data.pm}${data.offline ? ' cache' : ''}...\n`)
+    case 'resume':
+      return console.log(`Resuming ${chalk.green.bold(data.appName)} from the ${chalk.bold(data.step)} step...`)
+    case 'registry':
+      return console.log(`Checking ${data.count} packages against ${chalk.cyan(data.registry)}...`)
+    case 'cache-resolve':
+      return console.log(`Working out what the ${data.count} packages apps can get depend on, via ${chalk.cyan(data.registry)}...`)
+    case 'cache-warm':
+      return console.log(`Caching ${data.count} package versions via ${data.pm}...\n`)
+    case 'fetch-version':
+      return console.log(`Downloading create-new-app ${chalk.bold(data.version)} to compare against...`)
+    case 'git-init':
+      return console.log('Initialized a git repository.\n')
   }
 }
 
-// Processes --version and --help commands (among other things).
-function processUsersCommand(options) {
-  const {
-    online, // Actual online status.
-    offline, // CLI argument.
-    apiPort,
-    express,
-    mongo,
-    devServerPort,
-    sandbox,
-    api
-  } = options
-
-  // Not online.
-  if (!sandbox && (offline || !online)) {
-    !online && console.log(chalk.yellow('You appear to be offline.'))
-    console.log(chalk.yellow('Installing via local npm cache.'))
-  }
-
-  // The apiPort takes prescedence over the devServerPort.
-  if ((express || mongo || api) && devServerPort === apiPort) options.devServerPort++
-
-  return options
+// `--json` - one JSON object per line (newline-delimited JSON).
+function reportJson(event) {
+  console.log(JSON.stringify(event))
 }
 
-// Simple sandbox projects, executed from `processUsersCommand`.
-function createSandbox(options) {
-  if (!options.appName) {
+// Turns the errors thrown by `createApp` into something friendly.
+function handleError(err) {
+  if (err instanceof MissingNameError) {
+    if (!err.sandbox) return noName()
     console.log('Oops! You forgot to provide a project name.')
     return console.log(`  ${chalk.green('create-new-app <project-name> --sandbox')}`)
   }
 
-  createProjectDirectory(options)
-  fs.copySync(dir('files/sandbox'), options.appDir)
-}
+  if (err instanceof InvalidNameError) return badName(err.appName, err.validation)
 
-// STEP 3
-function createProjectDirectory(options) {
-  const { appName, appDir, force, sandbox } = options
-  const greenDir = chalk.green(`${cwd}/`)
-  const boldName = chalk.green.bold(appName)
-  const boldSandbox = chalk.bold(' sandbox')
+  if (err instanceof ConflictError) {
+    console.log('These files have been modified since they were created:\n')
+    err.conflicts.forEach(({ file, diff }) => console.log(`${chalk.bold(file)}\n${colorDiff(diff)}\n`))
+    return console.log(`Nothing was changed. Use ${chalk.bold('--force')} to overwrite them anyway.`)
+  }
 
-  safeToCreateDir(options) || (!sandbox && force) || process.exit()
-  console.log(`\nCreating a new${sandbox ? boldSandbox : ''} app in ${greenDir}${boldName}.`)
+  if (err instanceof DirectoryExistsError) {
+    console.log(`The directory ${chalk.green(err.appName)} already exists.`)
+    if (fs.existsSync(path.join(err.appDir, resumeFile))) {
+      return console.log(`It's only partly created - run ${chalk.cyan(`cna resume ${err.appName}`)} to finish it.`)
+    }
+    return console.log('Try a different name.')
+  }
 
-  // Create the project directory if it doesn't already exist.
-  fs.mkdirpSync(appDir)
+  console.log(chalk.red(err.message))
 }
 
-// STEP 4
-function createFiles(options) {
-  const { appDir, server, mongo, express, redux, router } = options
-  const filter1 = { filter: file => !file.endsWith('.DS_Store') }
-
-  // `.env`
-  fs.writeFileSync(`${appDir}/.env`, dotEnv(options), 'utf-8')
-
-  // `.gitignore`
-  fs.copySync(dir('files/gitignore.txt'), `${appDir}/.gitignore`)
-
-  // `package.json`
-  fs.writeFileSync(`${appDir}/package.json`, packageJson(options), 'utf-8')
+// Display the final message.
+function showSuccess({ appName, appDir, server, pm }) {
+  const cyanDir = chalk.cyan(appDir)
+  const boldName = chalk.bold(appName)
+  const serverMsg = server ? 'and Express servers' : 'server'
 
-  // `postcss.config.js`
-  fs.copySync(dir('files/postcss.config.js'), `${appDir}/postcss.config.js`)
+  console.log(`\nSuccess! Created ${boldName} at ${cyanDir}.`)
+  console.log(`Inside that directory you can run several commands:\n`)
 
-  // `README.md`
-  fs.copySync(dir('files/README.md'), `${appDir}/README.md`)
+  console.log(`  ${chalk.cyan(runCommand(pm, 'start'))}`)
+  console.log(`    Starts the development ${serverMsg}.\n`)
 
-  // `server.js` (with or without MongoDB options)
-  server && fs.copySync(dir(`files/server${mongo ? '-mongo' : ''}.js`), `${appDir}/server.js`)
+  console.log(`  ${chalk.cyan(runCommand(pm, 'build'))}`)
+  console.log(`    Bundles the app into static files for production.\n`)
 
-  // `webpack.config.js`
-  fs.writeFileSync(`${appDir}/webpack.config.js`, webpackConfig({ redux, server }), 'utf-8')
+  if (server) {
+    console.log(`  ${chalk.cyan(runCommand(pm, 'local'))}`)
+    console.log(`    Starts only the Express server (no development server).\n`)
+  }
 
-  // `after-compile-plugin.js`
-  fs.copySync(dir('files/after-compile-plugin.js'), `${appDir}/after-compile-plugin.js`)
+  console.log(`\nGet started by typing:\n`)
+  console.log(`  ${chalk.cyan('cd')} ${appName}`)
+  console.log(`  ${chalk.cyan(runCommand(pm, 'start'))}\n`)
+}
 
-  // `api` directory tree.
-  mongo && fs.copySync(dir('./files/api'), `${appDir}/api`, filter1)
-  if (express && !mongo) fs.copySync(dir('files/api/home.js'), `${appDir}/api/home.js`)
+// Lists what `cna add` changed (or would change with `--dry-run`).
+function showAdded({ appName, features, files, conflicts, dryRun, pm }) {
+  const colors = { create: 'green', update: 'cyan', merge: 'cyan', remove: 'red', keep: 'yellow' }
+  const boldName = chalk.bold(appName)
 
-  // `dist` directory tree.
-  fs.copySync(dir('./files/dist'), `${appDir}/dist`, filter1)
+  if (!features.length) return console.log(`${boldName} already includes everything asked for.`)
 
-  // Depending on the options, Exclude certain files from being copied.
-  const excludes = [
-    '.gitkeep',
-    router && redux && 'appReducer.js',
-    !router && redux && 'homeReducer.js',
-    router && 'App.jsx'
-  ].filter(Boolean)
-  const filter2 = { filter: file => excludes.every(f => !file.includes(f)) }
+  console.log(`\n${dryRun ? 'Adding' : 'Added'} ${chalk.green(features.join(', '))} to ${boldName}:\n`)
+  files.forEach(({ file, action }) => console.log(`  ${chalk[colors[action]](action.padEnd(8))}${file}`))
 
-  // `src` directory tree.
-  fs.copySync(dir('./files/src'), `${appDir}/src`, filter2)
+  if (files.some(({ action }) => action === 'keep')) {
+    console.log(`\nFiles marked ${chalk.yellow('keep')} are no longer used but have been modified, so they were left alone.`)
+  }
 
-  if (router && redux) {
-    // Store.
-    fs.copySync(dir('files/redux/store-router.js'), `${appDir}/src/store.js`)
+  if (dryRun) {
+    conflicts.forEach(({ file, diff }) => console.log(`\n${chalk.bold(file)} has been modified - this would need ${chalk.bold('--force')}:\n${colorDiff(diff)}`))
+    return console.log(`\nThis was a dry run - nothing was written.\n`)
+  }
 
-    // Redux utilities (actions, helpers, middleware, reducers).
-    fs.copySync(dir('files/redux/utils'), `${appDir}/src/utils`, filter2)
+  console.log(`\nDon't forget to check the changes before committing them. Restart ${chalk.cyan(runCommand(pm, 'start'))} to see them.\n`)
+}
 
-    // Entry file.
-    fs.copySync(dir('files/redux/entry-router.js'), `${appDir}/src/entry.js`)
+// Lists what `cna upgrade` changed (or would change with `--dry-run`).
+function showUpgraded({ appName, from, to, files, conflicts, dryRun }) {
+  const colors = { create: 'green', update: 'cyan', merge: 'cyan', conflict: 'red', remove: 'red', keep: 'yellow' }
+  const boldName = chalk.bold(appName)
 
-    // Components.
-    fs.copySync(dir('files/redux/RouterHome.jsx'), `${appDir}/src/components/Home.jsx`)
-    fs.copySync(dir('files/redux/NotFound.jsx'), `${appDir}/src/components/NotFound.jsx`)
-  } else if (redux) {
-    // Store.
-    fs.copySync(dir('files/redux/store.js'), `${appDir}/src/store.js`)
+  if (from === to) return console.log(`${boldName} is already up to date with create-new-app ${to}.`)
 
-    // Redux utilities (actions, helpers, middleware, reducers).
-    fs.copySync(dir('files/redux/utils'), `${appDir}/src/utils`, filter2)
+  console.log(`\n${dryRun ? 'Upgrading' : 'Upgraded'} ${boldName} from ${chalk.bold(from)} to ${chalk.green.bold(to)}:\n`)
+  files.forEach(({ file, action }) => console.log(`  ${chalk[colors[action]](action.padEnd(9))}${file}`))
+  if (!files.length) console.log('  Nothing in the project needed to change.')
 
-    // Entry file.
-    fs.copySync(dir('files/redux/entry.js'), `${appDir}/src/entry.js`)
+  if (conflicts.length) {
+    console.log(`\n${chalk.red('Conflicts')} - these need your attention:`)
+    conflicts.forEach(({ file, details }) => console.log(`  ${chalk.bold(file)} - ${details}`))
+  }
 
-    // Components.
-    fs.copySync(dir('files/redux/ReduxApp.jsx'), `${appDir}/src/components/App.jsx`)
-  } else if (router) {
-    // Entry file.
-    fs.copySync(dir('files/router/entry.js'), `${appDir}/src/entry.js`)
+  console.log(dryRun ? `\nThis was a dry run - nothing was written.\n` : '')
+}
 
-    // Components.
-    fs.copySync(dir('files/router/Home.jsx'), `${appDir}/src/components/Home.jsx`)
-    fs.copySync(dir('files/router/NotFound.jsx'), `${appDir}/src/components/NotFound.jsx`)
+// Lists the findings of `cna doctor`, grouped by check.
+function showDiagnosis({ appName, checks, findings, healthy }) {
+  const titles = {
+    env: '.env file',
+    ports: 'Ports',
+    dependencies: 'Dependencies',
+    files: 'Project files',
+    mongo: 'MongoDB',
+    sqlite: 'SQLite',
+    postgres: 'PostgreSQL'
   }
+  const symbols = { error: chalk.red('✖'), warning: chalk.yellow('!') }
+
+  console.log(`\nChecking ${chalk.bold(appName)}...\n`)
+  checks.forEach(check => {
+    const found = findings.filter(finding => finding.check === check)
+    if (!found.length) return console.log(`  ${chalk.green('✔')} ${titles[check]}`)
+
+    found.forEach(({ level, message, fix }) => {
+      console.log(`  ${symbols[level]} ${titles[check]} - ${message}`)
+      console.log(`      ${chalk.cyan(fix)}`)
+    })
+  })
+
+  console.log(healthy
+    ? `\n${chalk.green('All good!')}${findings.length ? ' (apart from the warnings above)' : ''}\n`
+    : `\n${chalk.red('Some problems need fixing')} - see above.\n`
+  )
 }
 
-// STEP 5
-async function installDependencies(options) {
-  const { appName, appDir, server, offline, redux, router } = options
-  const forceOffline = offline ? ' --offline' : '' // https://goo.gl/aZLDLk
-  const cache = offline ? ' cache' : ''
-
-  // Change into the projects directory.
-  process.chdir(`${cwd}/${appName}`)
-
-  // Install the dependencies.
-  offline && console.log(`\nIt looks like you're offline or have a bad connection.`)
-  console.log(`Installing project dependencies via npm${cache}...\n`)
-  run(`npm${forceOffline} i -s`)
-
-  // Adjust the package.json dependencies to show their installed version.
-  // E.x. - "react": "^16" => "react": "^16.6.1"
-  await adjustPkgJson(appDir)
-
-  // Initialize git.
-  try {
-    run('git init', true) // Don't display stdout.
-    console.log('Initialized a git repository.\n')
-  } catch (e) {}
+// Lists the packages `cna outdated` found updates for & any peer dependency problems.
+function showOutdated({ packages, peers, outdated }) {
+  const colors = { major: 'red', minor: 'yellow', patch: 'green' }
+  const rows = packages
+    .filter(({ update }) => update)
+    .map(({ name, range, pinned, wanted, latest, update, inRange }) => [
+      name,
+      range,
+      pinned || '-',
+      wanted || '-',
+      latest,
+      chalk[colors[update]](update) + (inRange ? '' : chalk.gray(` (not in ${range})`))
+    ])
+
+  if (!rows.length) {
+    console.log(`\n${chalk.green('Everything is up to date!')}`)
+  } else {
+    const table = [['Package', 'Range', 'Pinned', 'Wanted', 'Latest', 'Update'].map(title => chalk.bold(title)), ...rows]
+    const visible = text => text.replace(/\u001b\[\d+m/g, '') // Without the colors.
+    const widths = table[0].map((_, i) => Math.max(...table.map(row => visible(row[i]).length)))
+
+    console.log('')
+    table.forEach(row => {
+      console.log(`  ${row.map((cell, i) => cell + ' '.repeat(widths[i] - visible(cell).length)).join('  ').trim()}`)
+    })
+    console.log(`\n${outdated} of ${packages.length} packages have updates.`)
+  }
 
-  // Display the final message.
-  const cyanDir = chalk.cyan(appDir)
-  const boldName = chalk.bold(appName)
-  const serverMsg = server ? 'and Express servers' : 'server'
+  if (peers.length) {
+    console.log(`\n${chalk.red('Peer dependency problems:')}`)
+    peers.forEach(({ set, name, version, peer, range, found }) => {
+      console.log(`  ${chalk.red('✖')} ${name}@${version} needs ${peer}@${range} - the ${set} version is ${found}`)
+    })
+  }
 
-  console.log(`\nSuccess! Created ${boldName} at ${cyanDir}.`)
-  console.log(`Inside that directory you can run several commands:\n`)
+  console.log('')
+}
 
-  console.log(`  ${chalk.cyan('npm start')}`)
-  console.log(`    Starts the development ${serverMsg}.\n`)
+// What `cna cache warm` left in the cache.
+function showWarmed({ pm, versions, missing }) {
+  if (!missing.length) {
+    return console.log(`\n${chalk.green('Done!')} ${versions} package versions are in the ${pm} cache - ${chalk.cyan('--offline')} is good to go.\n`)
+  }
 
-  console.log(`  ${chalk.cyan('npm run build')}`)
-  console.log(`    Bundles the app into static files for production.\n`)
+  console.log(`\n${chalk.yellow('Some packages still aren\'t in the cache')} - installing them offline will fail:`)
+  console.log(`  ${missing.join(', ')}\n`)
+}
 
-  if (server) {
-    console.log(`  ${chalk.cyan('npm run local')}`)
-    console.log(`    Starts only the Express server (no development server).\n`)
-  }
+// What `cna secret rotate` changed in `.env`.
+function showRotated({ appName, length, kept }) {
+  console.log(`\n${chalk.green('Done!')} ${chalk.bold(appName)} has a new ${length} character ${chalk.cyan('secret')} in .env.`)
+  kept && console.log(`The old one is now ${chalk.cyan('previousSecret')}, so existing sessions stay valid.`)
+  console.log('Restart the server to use it - in production, update your host\'s environment config too.\n')
+}
 
-  console.log(`\nGet started by typing:\n`)
-  console.log(`  ${chalk.cyan('cd')} ${appName}`)
-  console.log(`  ${chalk.cyan('npm start')}\n`)
+// Colors the lines of a diff from `lineDiff.js`.
+function colorDiff(diff) {
+  return diff
+    .split('\n')
+    .map(line => line[0] === '+' ? chalk.green(line) : line[0] === '-' ? chalk.red(line) : chalk.gray(line))
+    .join('\n')
 }
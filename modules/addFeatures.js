@@ -0,0 +1,197 @@
+/*
+  `cna add <feature>` - retrofits redux, router, express or a database (mongo, sqlite or postgres)
+  into an existing project.
+
+  The project's files are planned twice (see `planFiles.js`) - once with the options the
+  project was created with (see `detectProject.js`) and once with the new feature(s) added.
+  Comparing both plans with what's on disk tells us what to do with each file:
+
+    create - the file is new
+    update - the file changed & hasn't been touched since it was created
+    merge  - new dependencies & scripts for `package.json`, new keys for the `.env` files
+    remove - the file is no longer used & hasn't been touched since it was created
+    keep   - the file is no longer used but has been modified, so we leave it be
+
+  Files we'd change that have been modified by hand are conflicts. Nothing is written
+  when there are conflicts unless `force` is used - the ConflictError has a diff for each.
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+const isOnline = require('./isOnline')
+const planFiles = require('./planFiles')
+const mergeEnv = require('./mergeEnv')
+const lineDiff = require('./lineDiff')
+const detectProject = require('./detectProject')
+const installDependencies = require('./installDependencies')
+const writeChanges = require('./writeChanges')
+const { packageManagers } = require('./packageManager')
+const { environments } = require('../file-creators/dotEnv')
+const { readMetadata, writeMetadata } = require('./metadata')
+const { databases, databaseOf } = require('./database')
+const { InvalidOptionError, ConflictError } = require('./errors')
+
+const addable = ['redux', 'router', 'express', ...Object.keys(databases)]
+
+// Files that are merged with what's on disk rather than replaced - each package's in a `--monorepo` too.
+const envMerge = (existing, planned, next) => ({ contents: mergeEnv(existing, next) })
+const merges = {
+  'package.json': mergePackageJson,
+  '.env': envMerge,
+  ...environments.reduce((acc, environment) => ({ ...acc, [`.env.${environment}`]: envMerge }), {})
+}
+
+async function addFeatures(options = {}) {
+  const { features = [], cwd = process.cwd(), force, dryRun, silent, onProgress = () => {} } = options
+  const emit = (type, data = {}) => onProgress({ type, ...data })
+
+  if (!features.length) throw new InvalidOptionError('feature', '', `Choose from ${addable.join(', ')}.`)
+  features.forEach(feature => {
+    if (!addable.includes(feature)) {
+      throw new InvalidOptionError('feature', feature, `Choose from ${addable.join(', ')}.`)
+    }
+  })
+
+  const project = detectProject(cwd)
+  const { appName, appDir } = project
+  const pm = options.pm || project.pm
+  if (!packageManagers[pm]) {
+    throw new InvalidOptionError('pm', pm, `Choose from ${Object.keys(packageManagers).join(', ')}.`)
+  }
+
+  // Features the project already has are simply skipped.
+  const added = features.filter(feature => !project[feature])
+
+  // One database per app (see `database.js`).
+  const addedDatabases = added.filter(feature => databases[feature])
+  const current = databaseOf(project)
+  if (addedDatabases.length && (current || addedDatabases.length > 1)) {
+    const reason = current ? `The project already uses ${databases[current]} - an app has one database.` : 'Choose one database.'
+    throw new InvalidOptionError('feature', addedDatabases.join(', '), reason)
+  }
+
+  const before = { ...project, pm }
+  const after = added.reduce((acc, feature) => ({ ...acc, [feature]: true }), before)
+  after.server = !!(after.express || databaseOf(after))
+
+  const changes = added.length ? planChanges(before, after) : []
+  const conflicts = changes
+    .filter(({ conflict }) => conflict)
+    .map(({ file, conflict }) => ({ file, diff: conflict }))
+  const result = {
+    appName,
+    appDir,
+    features: added,
+    pm,
+    dryRun: !!dryRun,
+    files: changes.map(({ file, action }) => ({ file, action })),
+    conflicts
+  }
+
+  if (dryRun) return result
+  if (conflicts.length && !force) throw new ConflictError(conflicts)
+
+  writeChanges(appDir, changes, emit)
+
+  // Keep `.cna.json` in step, so `cna upgrade` knows about the new features.
+  const metadata = readMetadata(appDir)
+  if (metadata && added.length) writeMetadata(appDir, { ...after, cwd: appDir }, metadata.version)
+
+  // Only install when `package.json` has new dependencies.
+  if (changes.some(({ dependencies }) => dependencies)) {
+    const online = options.online === undefined ? await isOnline() : options.online
+    const offline = !online || !!options.offline
+
+    if (offline) emit('offline', { online, pm })
+    await installDependencies({ appDir, offline, silent, pm }, emit)
+  }
+
+  return result
+}
+
+// Compares the before & after plans with what's on disk.
+function planChanges(before, after) {
+  const { appDir } = before
+  const oldPlan = new Map(planFiles(before).map(entry => [entry.file, entry]))
+  const newPlan = planFiles(after)
+  const changes = []
+
+  newPlan.forEach(entry => {
+    const { file, source, dir } = entry
+    const destination = path.join(appDir, file)
+
+    if (dir) return fs.existsSync(destination) || changes.push({ file, action: 'create', dir })
+
+    const contents = contentsOf(entry)
+    const existing = read(destination)
+    if (existing === null) return changes.push({ file, action: 'create', contents, source })
+
+    const planned = oldPlan.has(file) ? contentsOf(oldPlan.get(file)) : null
+    const merge = merges[path.posix.basename(file)]
+    if (merge) {
+      const merged = merge(existing, planned, contents)
+      if (merged.contents === existing) return
+
+      const conflict = merged.conflict && lineDiff(existing, merged.contents)
+      return changes.push({ ...merged, file, action: 'merge', conflict })
+    }
+
+    if (existing === contents) return
+    const conflict = existing !== planned && lineDiff(existing, contents)
+    changes.push({ file, action: 'update', contents, source, conflict })
+  })
+
+  // Files the new features replace - e.x. `App.jsx` becomes `Home.jsx` with the router.
+  const newFiles = newPlan.map(({ file }) => file)
+  oldPlan.forEach((entry, file) => {
+    const existing = entry.dir || newFiles.includes(file) ? null : read(path.join(appDir, file))
+    if (existing === null) return
+
+    changes.push({ file, action: existing === contentsOf(entry) ? 'remove' : 'keep' })
+  })
+
+  return changes
+}
+
+// The contents of a planned file.
+const contentsOf = ({ source, contents }) => source ? fs.readFileSync(source, 'utf-8') : contents
+
+// The contents of a file on disk, or `null` if it doesn't exist.
+const read = file => fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null
+
+/*
+  Adds any missing dependencies & scripts to `package.json`, leaving everything else alone.
+  Changing a script that's been modified since the project was created is a conflict.
+*/
+function mergePackageJson(existing, planned, next) {
+  const pkg = JSON.parse(existing)
+  const before = JSON.parse(planned || '{}')
+  const after = JSON.parse(next)
+  const installed = { ...pkg.devDependencies, ...pkg.dependencies }
+  let dependencies = false
+  let conflict = false
+
+  const sections = ['dependencies', 'devDependencies']
+  sections.forEach(section => {
+    Object.keys(after[section] || {})
+      .filter(name => !installed[name])
+      .forEach(name => {
+        pkg[section] = { ...pkg[section], [name]: after[section][name] }
+        dependencies = true
+      })
+  })
+
+  Object.keys(after.scripts || {}).forEach(name => {
+    const script = (pkg.scripts || {})[name]
+    if (script === after.scripts[name]) return
+    if (script !== undefined && script !== (before.scripts || {})[name]) conflict = true
+
+    pkg.scripts = { ...pkg.scripts, [name]: after.scripts[name] }
+  })
+
+  if (after.main && !pkg.main) pkg.main = after.main
+
+  return { contents: JSON.stringify(pkg, null, 2), dependencies, conflict }
+}
+
+module.exports = addFeatures
@@ -7,33 +7,43 @@
   you don't know which exact version was installed. It's much more helpful to see something
   like ^16.6.1 instead.
 
-  This module will read package.json, distill the package names & versions down to an array,
-  read the actual versions of what's already been installed, and rewrite the file with the
-  actual versions, maintaining the ^ where applicable. This let's the user know what specific
+  This module will read package.json, look up the versions that were actually installed
+  in the lockfile the package manager just wrote (see `readLockfile.js`), and rewrite the
+  file with them, maintaining the ^ where applicable. This let's the user know what specific
   versions of the packages are installed when they take a quick glance at package.json.
+  With `--pin`, the versions are already exact & stay that way. In a `--monorepo`, each
+  package's `package.json` is done too (see `workspaces.js`).
+
+  Anything the lockfile doesn't mention keeps the range it was written with.
 */
 
-const { exec } = require('child_process')
+const path = require('path')
 const { readJsonSync, writeFileSync } = require('fs-extra')
+const { readLockfile } = require('./readLockfile')
+const { workspaces } = require('./workspaces')
+
+function adjustPkgJson(appDir, pm = 'npm', pin = false) {
+  const installed = readLockfile(appDir, pm)
+  if (!installed) return
 
-function adjustPkgJson(appDir) {
-  const packageJson = readJsonSync(`${appDir}/package.json`)
-  const deps = packageJson.dependencies
-  const devDeps = packageJson.devDependencies
+  const dirs = ['.', ...workspaces(appDir)]
+  dirs.forEach(dir => {
+    const file = path.join(appDir, dir, 'package.json')
+    const packageJson = readJsonSync(file)
+    const deps = packageJson.dependencies
+    const devDeps = packageJson.devDependencies
 
-  deps && transformVersion(deps, appDir)
-  devDeps && transformVersion(devDeps, appDir)
+    deps && transformVersion(deps, installed, pin)
+    devDeps && transformVersion(devDeps, installed, pin)
 
-  const finalData = JSON.stringify(packageJson, null, 2)
-  writeFileSync(`${appDir}/package.json`, finalData, 'utf-8')
+    const finalData = JSON.stringify(packageJson, null, 2)
+    writeFileSync(file, finalData, 'utf-8')
+  })
 }
 
-function transformVersion(obj, appDir) {
+function transformVersion(obj, installed, pin) {
   Object.keys(obj).forEach(key => {
-    const location = `${appDir}/node_modules/${key}/package.json`
-    const { version } = readJsonSync(location)
-
-    obj[key] = `^${version}`
+    if (installed[key]) obj[key] = `${pin ? '' : '^'}${installed[key]}`
   })
 }
 
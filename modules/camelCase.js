@@ -0,0 +1,4 @@
+// Turns CLI option names like `dry-run` into `dryRun`.
+const camelCase = str => str.replace(/-(\w)/g, (_, letter) => letter.toUpperCase())
+
+module.exports = camelCase
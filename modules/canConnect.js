@@ -0,0 +1,15 @@
+// Checks if something is accepting connections at `host:port` - e.x. a MongoDB server.
+
+const net = require('net')
+
+module.exports = (host, port, timeout = 2000) => new Promise(resolve => {
+  const socket = net.connect({ host, port })
+  const done = result => {
+    socket.destroy()
+    resolve(result)
+  }
+
+  socket.setTimeout(timeout, () => done(false))
+  socket.once('connect', () => done(true))
+  socket.once('error', () => done(false))
+})
@@ -0,0 +1,88 @@
+/*
+  `cna outdated` - how the dependency ranges in the feature manifests (see `dependencies.js`)
+  & the pinned versions in `versions.json` compare to what's on the registry.
+
+  For every package any feature can add:
+
+    range   - the range apps get in `package.json`
+    pinned  - the exact version `--pin` installs
+    wanted  - the newest version in the range, i.e. what an app gets today
+    latest  - the registry's `latest` dist-tag
+    update  - how big the step from `pinned` (or `wanted`) to `latest` is - 'major',
+              'minor', 'patch' or `null` (see `semver.js`)
+    inRange - whether `latest` is in the range - when it isn't, the manifest needs a new range
+
+  Peer dependencies are checked between the packages too (react & react-dom, webpack &
+  webpack-cli, etc.) - both for the `wanted` versions & the `pinned` ones.
+
+  const { checkOutdated } = require('create-new-app')
+
+  checkOutdated({ registry: 'http://localhost:4873' }).then(({ packages, peers }) => ...)
+*/
+
+const { everyDependency, pool } = require('./everyPackage')
+const versions = require('../versions.json')
+const { fetchPackage, configuredRegistry } = require('./registry')
+const { satisfies, maxSatisfying, diff } = require('./semver')
+
+async function checkOutdated(options = {}) {
+  const { onProgress = () => {}, concurrency = 8 } = options
+  const registry = options.registry || configuredRegistry()
+  const emit = (type, data = {}) => onProgress({ type, ...data })
+
+  const ranges = everyDependency()
+  const names = Object.keys(ranges).sort()
+
+  emit('registry', { registry, count: names.length })
+  const fetched = await pool(names, name => fetchPackage(name, registry), concurrency)
+  const metadata = names.reduce((acc, name, i) => ({ ...acc, [name]: fetched[i] }), {})
+
+  const packages = names.map(name => {
+    const range = ranges[name]
+    const { versions: published, 'dist-tags': tags = {} } = metadata[name]
+    const latest = tags.latest
+    const wanted = tags[range] || maxSatisfying(Object.keys(published), range) || null
+    const pinned = versions[name] || null
+    const current = pinned || wanted
+
+    return {
+      name,
+      range,
+      pinned,
+      wanted,
+      latest,
+      update: current && latest ? diff(current, latest) : null,
+      inRange: !!latest && satisfies(latest, range)
+    }
+  })
+
+  const installed = set => packages.reduce((acc, pkg) => (pkg[set] ? { ...acc, [pkg.name]: pkg[set] } : acc), {})
+  const peers = [
+    ...peerProblems(installed('wanted'), metadata, 'wanted'),
+    ...peerProblems(installed('pinned'), metadata, 'pinned')
+  ]
+
+  return {
+    registry,
+    packages,
+    peers,
+    outdated: packages.filter(({ update }) => update).length,
+    compatible: !peers.length
+  }
+}
+
+// E.x. - { set: 'wanted', name: 'react-dom', version: '16.14.0', peer: 'react', range: '^16.14.0', found: '16.0.0' }
+function peerProblems(installed, metadata, set) {
+  return Object.keys(installed).reduce((acc, name) => {
+    const version = installed[name]
+    const { peerDependencies = {} } = metadata[name].versions[version] || {}
+
+    Object.keys(peerDependencies)
+      .filter(peer => installed[peer] && !satisfies(installed[peer], peerDependencies[peer]))
+      .forEach(peer => acc.push({ set, name, version, peer, range: peerDependencies[peer], found: installed[peer] }))
+
+    return acc
+  }, [])
+}
+
+module.exports = checkOutdated
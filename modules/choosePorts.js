@@ -0,0 +1,51 @@
+/*
+  Makes sure the ports a new app will listen on are free on this machine, so `npm start`
+  works the first time.
+
+  A taken port is swapped for the next free one above it (never the app's other port) &
+  reported with a 'port-busy' event. Ports below 1024 need admin rights on most systems, so
+  they're never picked for you - asking for one works, but comes with a 'port-privileged'
+  warning. The `apiPort` of an app without a server belongs to an API that's already running
+  (see `--api`), so it's expected to be taken & isn't checked.
+*/
+
+const isPortFree = require('./isPortFree')
+
+const privileged = port => port < 1024
+
+// The first free port above `port` that isn't privileged or one of `taken`.
+async function nextFreePort(port, taken = []) {
+  for (let candidate = Math.max(port + 1, 1024); candidate <= 65535; candidate++) {
+    if (!taken.includes(candidate) && await isPortFree(candidate)) return candidate
+  }
+
+  return null
+}
+
+async function choosePorts(options, emit = () => {}) {
+  const { sandbox, server } = options
+  if (sandbox) return options
+
+  const chosen = { apiPort: options.apiPort, devServerPort: options.devServerPort }
+  const checked = server ? ['apiPort', 'devServerPort'] : ['devServerPort']
+
+  for (const option of checked) {
+    const port = chosen[option]
+
+    if (privileged(port)) {
+      emit('port-privileged', { option, port })
+    } else if (!await isPortFree(port)) {
+      const others = Object.keys(chosen).filter(key => key !== option).map(key => chosen[key])
+      const replacement = await nextFreePort(port, others)
+
+      if (replacement) {
+        emit('port-busy', { option, port, replacement })
+        chosen[option] = replacement
+      }
+    }
+  }
+
+  return { ...options, ...chosen }
+}
+
+module.exports = { choosePorts, nextFreePort, privileged }
@@ -0,0 +1,48 @@
+/*
+  Puts together the feature manifests (see `features/index.js`) that apply to
+  a set of options - their template variables, files, webpack aliases & rules,
+  dependencies, hooks & where files end up. Plugins (see `loadPlugins.js`) are applied last.
+*/
+
+const allFeatures = require('../features')
+
+function composeFeatures(options) {
+  const { plugins = [] } = options
+  const enabled = [...allFeatures, ...plugins].filter(feature => feature.when(options))
+  const standalone = enabled.find(feature => feature.standalone)
+  const features = standalone ? [standalone] : enabled
+
+  // Every option is available as a variable, e.x. `// @@if redux@@`.
+  const variables = features.reduce((acc, feature) => (
+    feature.variables ? { ...acc, ...feature.variables(options) } : acc
+  ), { ...options })
+
+  // Dependencies can depend on the options too, e.x. type definitions for other features.
+  const valueOf = value => typeof value === 'function' ? value(variables) : value
+  const collect = getter => features.reduce((acc, feature) => ({ ...acc, ...getter(feature) }), {})
+  const collectList = getter => features.reduce((acc, feature) => [...acc, ...(getter(feature) || [])], [])
+
+  // E.x. - `src/entry.js` => `packages/client/src/entry.js` with `--monorepo`.
+  const layout = file => features.reduce((acc, feature) => (
+    feature.layout ? feature.layout(acc, variables) : acc
+  ), file)
+
+  return {
+    features: features.map(({ name }) => name),
+    variables,
+    files: features.reduce((acc, feature) => (
+      feature.files ? [...acc, ...feature.files(variables)] : acc
+    ), []),
+    alias: collect(({ webpack = {} }) => webpack.alias),
+    rules: collectList(({ webpack = {} }) => webpack.rules),
+    devDependencies: collect(({ devDependencies }) => valueOf(devDependencies)),
+    dependencies: collect(({ dependencies }) => valueOf(dependencies)),
+    layout,
+    hooks: {
+      beforeInstall: collectList(({ hooks = {} }) => hooks.beforeInstall && [hooks.beforeInstall]),
+      afterInstall: collectList(({ hooks = {} }) => hooks.afterInstall && [hooks.afterInstall])
+    }
+  }
+}
+
+module.exports = composeFeatures
@@ -0,0 +1,117 @@
+/*
+  Loads default options & named presets from `.cnarc` files.
+
+  Two files are looked for - a user-level `~/.cnarc` and a project-local
+  `.cnarc` in the current directory. Both are JSON and look like this:
+
+  {
+    "defaults": {
+      "author": "Qodesmith",
+      "keywords": ["react", "awesome"]
+    },
+    "presets": {
+      "fullstack": { "redux": true, "router": true, "mongo": true, "apiPort": 5000 }
+    },
+    "online": { "host": "https://npm.acme.corp", "timeout": 10000 }
+  }
+
+  The local file takes precedence over the user-level one. Any entry from
+  `optionDefinitions.js` can be used other than `appName`, `version` & `help`.
+  `online` changes how we check for a connection - see `isOnline.js`.
+*/
+
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const optionDefinitions = require('./optionDefinitions')
+const camelCase = require('./camelCase')
+const { ConfigError } = require('./errors')
+
+const userRc = () => path.resolve(os.homedir(), '.cnarc')
+const localRc = cwd => path.resolve(cwd, '.cnarc')
+
+// Options that make no sense as a default or in a preset.
+const excluded = ['appName', 'version', 'help', 'preset', 'savePreset', 'yes', 'ci', 'json']
+const usable = (definitions = []) => [...optionDefinitions, ...definitions]
+  .map(definition => ({ ...definition, name: camelCase(definition.name) }))
+  .filter(({ name }) => !excluded.includes(name))
+
+function readRc(file) {
+  if (!fs.existsSync(file)) return {}
+
+  try {
+    return fs.readJsonSync(file)
+  } catch (e) {
+    throw new ConfigError(file, e.message)
+  }
+}
+
+/*
+  Coerces values the same way `command-line-args` would and rejects unknown options.
+  Options added by plugins (see `loadPlugins.js`) are only known once the plugins
+  are loaded, which is why this isn't done by `loadConfig` itself.
+*/
+function sanitize(options = {}, pluginDefinitions, where = 'defaults') {
+  const definitions = usable(pluginDefinitions)
+
+  return Object.keys(options).reduce((acc, key) => {
+    const name = camelCase(key)
+    const definition = definitions.find(def => def.name === name)
+    if (!definition) throw new ConfigError(null, `"${key}" in your .cnarc ${where} is not a valid option.`)
+
+    const { type = String, multiple } = definition
+    const value = options[key]
+
+    if (multiple) {
+      acc[name] = [].concat(value).map(type)
+    } else {
+      acc[name] = type === Boolean ? !!value : type(value)
+    }
+
+    return acc
+  }, {})
+}
+
+// Merges the user-level & local `.cnarc` files.
+function loadConfig(cwd = process.cwd()) {
+  const files = [userRc(), localRc(cwd)].filter((file, i, arr) => arr.indexOf(file) === i)
+
+  return files.reduce((config, file) => {
+    const { defaults, presets = {}, online } = readRc(file)
+
+    Object.keys(presets).forEach(name => {
+      config.presets[name] = { ...config.presets[name], ...presets[name] }
+    })
+
+    return {
+      defaults: { ...config.defaults, ...defaults },
+      presets: config.presets,
+      online: { ...config.online, ...online }
+    }
+  }, { defaults: {}, presets: {}, online: {} })
+}
+
+// Returns the options for a given preset name.
+function getPreset(config, name) {
+  const preset = config.presets[name]
+  if (!preset) throw new ConfigError(null, `There is no preset named "${name}".`)
+
+  return preset
+}
+
+// Records a set of options as a named preset in the user-level `~/.cnarc`.
+function savePreset(name, options, pluginDefinitions) {
+  const file = userRc()
+  const rc = readRc(file)
+  const definitions = usable(pluginDefinitions)
+  const preset = Object.keys(options)
+    .filter(key => definitions.some(def => def.name === key))
+    .reduce((acc, key) => ({ ...acc, [key]: options[key] }), {})
+
+  rc.presets = { ...rc.presets, [name]: preset }
+  fs.writeFileSync(file, JSON.stringify(rc, null, 2), 'utf-8')
+
+  return { file, preset }
+}
+
+module.exports = { loadConfig, getPreset, sanitize, savePreset }
@@ -0,0 +1,134 @@
+/*
+  The programmatic API behind the `cna` CLI.
+
+  `createApp` takes the same options as the CLI (see `optionDefinitions.js`),
+  creates the project, and resolves with a summary of what was created.
+  With `dryRun: true` nothing is written - the summary's `files` array lists
+  what would have been (see `planFiles.js`).
+  Nothing is printed and the process is never exited - progress is reported
+  through the `onProgress` callback and failures are thrown as the errors
+  found in `errors.js`.
+
+  If creating the project fails part way through (or `signal` is aborted - an
+  `AbortSignal`, or anything with an `aborted` flag), the error has a `rollback()`
+  to undo everything - or the project can be finished later with `resumeApp`
+  (see `runCreation.js`).
+
+  const { createApp } = require('create-new-app')
+
+  createApp({
+    appName: 'my-app',
+    redux: true,
+    onProgress: ({ type, ...data }) => console.log(type, data)
+  }).then(({ appDir }) => console.log(`Created ${appDir}`))
+*/
+
+const validateName = require('validate-npm-package-name')
+
+const optionDefinitions = require('./optionDefinitions')
+const defaultsOf = require('./defaultsOf')
+const isOnline = require('./isOnline')
+const safeToCreateDir = require('./safeToCreateDir')
+const planFiles = require('./planFiles')
+const { choosePorts } = require('./choosePorts')
+const { loadPlugins, pluginDefinitions } = require('./loadPlugins')
+const { packageManagers, detectPackageManager } = require('./packageManager')
+const startTransaction = require('./transaction')
+const { runCreation, summary } = require('./runCreation')
+const { checkSecretLength } = require('./generateSecret')
+const { resolveDatabase, databaseOf } = require('./database')
+const {
+  MissingNameError,
+  InvalidNameError,
+  DirectoryExistsError,
+  InvalidOptionError
+} = require('./errors')
+
+// Aggregate the default CLI values into an object so we can use those.
+const defaultOptions = defaultsOf(optionDefinitions)
+
+async function createApp(options = {}) {
+  const { onProgress = () => {} } = options
+  const emit = (type, data = {}) => onProgress({ type, ...data })
+
+  // STEP 1 - check if we're online (unless we've been told already).
+  const online = options.online === undefined ? await isOnline() : options.online
+
+  // STEP 2 - resolve & validate all the options, including those added by plugins,
+  // and make sure the ports are free.
+  const plugins = loadPlugins(options.with, options.cwd)
+  const pluginDefaults = defaultsOf(pluginDefinitions(plugins))
+  options = processUsersCommand({ ...defaultOptions, ...pluginDefaults, ...options, online, plugins }, emit)
+  options = await choosePorts(options, emit)
+
+  // Dry runs only report what would have been created.
+  if (options.dryRun) return { ...summary(options), files: planFiles(options) }
+
+  // STEPS 3 - 5 - create the project directory & files, then install dependencies,
+  // giving features & plugins a chance to do their thing (see `runCreation.js`).
+  await runCreation(options, emit, startTransaction(options.appDir))
+
+  return summary(options)
+}
+
+// Adds the properties we'll use down the line & validates the result.
+function processUsersCommand(options, emit) {
+  // `db: 'sqlite'` becomes `sqlite: true` - the features & `.cna.json` only know the booleans.
+  options = resolveDatabase(options)
+
+  const {
+    appName,
+    online, // Actual online status.
+    offline, // CLI argument.
+    apiPort,
+    express,
+    monorepo,
+    shared,
+    secretLength,
+    devServerPort,
+    sandbox,
+    dryRun,
+    api,
+    pm = detectPackageManager(),
+    cwd = process.cwd()
+  } = options
+
+  if (!appName) throw new MissingNameError(sandbox)
+  if (!packageManagers[pm]) {
+    throw new InvalidOptionError('pm', pm, `Choose from ${Object.keys(packageManagers).join(', ')}.`)
+  }
+
+  const server = !!(express || databaseOf(options))
+
+  // Sandboxes ignore both.
+  if (!sandbox && monorepo && !server) {
+    throw new InvalidOptionError('monorepo', monorepo, 'Splitting the app into packages needs a server - add `express` or `db`.')
+  }
+  if (!sandbox && shared && !monorepo) {
+    throw new InvalidOptionError('shared', shared, 'Only a monorepo has a shared package - add `monorepo`.')
+  }
+  if (secretLength !== undefined) checkSecretLength(secretLength)
+
+  options = {
+    ...options,
+    pm,
+    offline: !online || !!offline, // Argument option from the CLI to process *as* offline.
+    api: api ? api.replace(/ /g, '') : null,
+    server,
+    appDir: `${cwd}/${appName}`
+  }
+
+  const validation = validateName(appName)
+  if (!sandbox && !validation.validForNewPackages) throw new InvalidNameError(appName, validation)
+  if (!safeToCreateDir(options)) throw new DirectoryExistsError(appName, options.appDir)
+
+  // Not online.
+  if (!sandbox && !dryRun && options.offline) emit('offline', { online, pm })
+
+  // The apiPort takes prescedence over the devServerPort.
+  if ((server || api) && devServerPort === apiPort) options.devServerPort++
+
+  return options
+}
+
+module.exports = createApp
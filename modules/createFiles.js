@@ -0,0 +1,23 @@
+const fs = require('fs-extra')
+const planFiles = require('./planFiles')
+
+// STEP 4 - `track` is told about every file & folder before it's written (see `transaction.js`).
+function createFiles(options, emit = () => {}, track = () => {}) {
+  const { appDir } = options
+
+  planFiles(options).forEach(({ file, contents, source, dir }) => {
+    const destination = `${appDir}/${file}`
+
+    track(file)
+    if (dir) return fs.mkdirpSync(destination)
+    if (source) {
+      fs.copySync(source, destination)
+    } else {
+      fs.outputFileSync(destination, contents, 'utf-8')
+    }
+
+    emit('file-written', { file })
+  })
+}
+
+module.exports = createFiles
@@ -0,0 +1,38 @@
+/*
+  The databases `--db` can set up. Each is a feature (see `features`) & a boolean option
+  of the same name - `--db sqlite` becomes `sqlite: true`, just like `--mongo` has always
+  been `mongo: true` - so `cna add`, `.cna.json` & older projects all work the same way.
+  An app has one at most.
+*/
+
+const { InvalidOptionError } = require('./errors')
+
+const databases = {
+  mongo: 'MongoDB',
+  sqlite: 'SQLite',
+  postgres: 'PostgreSQL'
+}
+
+// E.x. - databaseOf({ sqlite: true }) => 'sqlite', or `null` without a database.
+const databaseOf = options => Object.keys(databases).find(name => options[name]) || null
+
+// E.x. - databaseFlags('sqlite') => { mongo: false, sqlite: true, postgres: false }
+const databaseFlags = db => Object.keys(databases).reduce((acc, name) => ({ ...acc, [name]: name === db }), {})
+
+/*
+  Swaps `db` for the boolean options - e.x. { db: 'sqlite' } => { mongo: false, sqlite: true, postgres: false }.
+  Throws unless `db` & the booleans agree on one database (or none).
+*/
+function resolveDatabase({ db, ...options }) {
+  const choices = Object.keys(databases).join(', ')
+  if (db !== undefined && db !== null && !databases[db]) throw new InvalidOptionError('db', db, `Choose from ${choices}.`)
+
+  const chosen = Object.keys(databases).filter(name => name === db || options[name])
+  if (chosen.length > 1) {
+    throw new InvalidOptionError('db', chosen.join(' & '), 'Choose one database - `--mongo` is short for `--db mongo`.')
+  }
+
+  return { ...options, ...databaseFlags(chosen[0]) }
+}
+
+module.exports = { databases, databaseOf, databaseFlags, resolveDatabase }
@@ -0,0 +1,8 @@
+const camelCase = require('./camelCase')
+
+// Aggregates the default values of option definitions into an object.
+const defaultsOf = definitions => definitions
+  .filter(({ defaultValue }) => defaultValue !== undefined)
+  .reduce((acc, { name, defaultValue }) => ({ ...acc, [camelCase(name)]: defaultValue }), {})
+
+module.exports = defaultsOf
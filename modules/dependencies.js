@@ -1,4 +1,9 @@
 // NPM Semver Calculator - https://semver.npmjs.com/
+// The versions themselves live in each feature's manifest - see `features/index.js`.
+// `--pin` swaps them for the exact versions in `versions.json` (see `pinVersions.js`).
+
+const composeFeatures = require('./composeFeatures')
+const versions = require('../versions.json')
 
 const dependencyReducer = obj => (
   Object.keys(obj).sort().reduce((acc, key) => {
@@ -7,83 +12,33 @@ const dependencyReducer = obj => (
   }, {})
 )
 
-const dependencies = (mongo, redux, router) => {
-  const devDependencies = {
-    // MAIN
-    react: '^16',
-    'react-dom': '^16',
-    sassyons: '^2',
-    redux: (redux || router) && '^4',
-    'react-redux': (redux || router) && '^5',
-    'react-router-dom': router && '^4',
-    history: router && '^4',
-
-    // POSTCSS
-    // https://cssnano.co/optimisations/ - list of plugins.
-    'postcss-loader': '^3',
-    postcss: '^7',
-    cssnano: '^4',
-    '@fullhuman/postcss-purgecss': '^1', // https://goo.gl/igXRk6 - why we're using purge-css *here* and not as a Webpack plugin.
-    'purgecss-whitelister': 'latest', // Always install latest.
-    'postcss-discard-comments': '^4',
-    'css-mqpacker': '^7',
-    'postcss-combine-duplicated-selectors': '^6',
-    autoprefixer: '^9',
-    'postcss-colormin': '^4',
-    'css-declaration-sorter': '^4',
-
-    // WEBPACK
-    webpack: '^4',
-    'webpack-cli': '^3',
-    'webpack-dev-server': '^3',
-    'mini-css-extract-plugin': '^0', // Currently < 1
-    'clean-webpack-plugin': '^1',
-    'html-webpack-plugin': '^3',
-    'glob-all': 'latest', // Always install latest.
-    'file-loader': '^2',
-    'css-loader': '^1', // Still included to allow users to choose.
-    'fast-css-loader': '^1',
-    'sass-loader': '^7', // Still included to allow users to choose.
-    'fast-sass-loader': '^1',
-    'node-sass': '^4',
-    'style-loader': '^0', // Currently < 1
-    'terser-webpack-plugin': '^1',
-
-    // BABEL - https://goo.gl/ESXgmh
-    'babel-loader': '^8',
-    '@babel/core': '^7',
-    '@babel/preset-env': '^7',
-    '@babel/preset-react': '^7',
-    '@babel/plugin-proposal-object-rest-spread': '^7',
-    '@babel/plugin-proposal-class-properties': '^7',
-    '@babel/plugin-syntax-dynamic-import': '^7',
-    '@babel/polyfill': '^7',
-
-    // OTHER
-    'cross-env': '^5',
-    'npm-run-all': 'latest', // Always install latest.
-    dotenv: 'latest' // Always install latest.
-  }
+// Packages we don't have a pinned version for (e.x. from plugins) keep their range.
+const pinReducer = obj => (
+  Object.keys(obj).reduce((acc, key) => {
+    acc[key] = versions[key] || obj[key]
+    return acc
+  }, {})
+)
 
-  // These will only take effect if we're creating an app with a server.
-  // They will be saved in `package.json` as `dependencies`.
-  const serverDependencies = {
-    // SERVER
-    express: '^4',
-    helmet: '^3',
-    compression: '^1',
-    'body-parser': '^1',
-    nodemon: 'latest', // Always install latest.
+// What the server needs at runtime (e.x. `dotenv`) is one of its `dependencies`, not a devDependency as well.
+const withoutReducer = (obj, others) => (
+  Object.keys(obj).reduce((acc, key) => {
+    if (!(key in others)) acc[key] = obj[key]
+    return acc
+  }, {})
+)
 
-    // MONGO
-    mongodb: mongo && '^3',
-    'connect-mongodb-session': mongo && '^2',
-    'express-session': mongo && '^1',
-  }
+const dependencies = options => {
+  const { devDependencies, dependencies } = composeFeatures(options)
+  const pinned = options.pin ? pinReducer : obj => obj
+  const dev = options.server ? withoutReducer(devDependencies, dependencies) : devDependencies
 
   return {
-    devDependencies: dependencyReducer(devDependencies),
-    serverDependencies: dependencyReducer(serverDependencies)
+    devDependencies: dependencyReducer(pinned(dev)),
+
+    // These will only take effect if we're creating an app with a server.
+    // They will be saved in `package.json` as `dependencies`.
+    serverDependencies: dependencyReducer(pinned(dependencies))
   }
 }
 
@@ -0,0 +1,71 @@
+/*
+  Works out the options an existing project was created with. Those are in
+  `.cna.json` for newer projects (see `metadata.js`) - for older ones we look
+  at the `package.json`, `.env` file & lockfile. `addFeatures` uses these to
+  plan what the project's files looked like when they were created.
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+const parseEnv = require('./parseEnv')
+const { detectPackageManager } = require('./packageManager')
+const { loadPlugins } = require('./loadPlugins')
+const { readMetadata } = require('./metadata')
+const { databaseOf } = require('./database')
+const { NotAProjectError } = require('./errors')
+
+// The package each feature brings along.
+const markers = {
+  redux: 'redux',
+  router: 'react-router-dom',
+  typescript: 'typescript',
+  tests: 'jest',
+  lint: 'eslint',
+  express: 'express',
+  mongo: 'mongodb',
+  sqlite: 'sqlite3',
+  postgres: 'pg'
+}
+
+const lockfiles = {
+  'pnpm-lock.yaml': 'pnpm',
+  'yarn.lock': 'yarn',
+  'package-lock.json': 'npm'
+}
+
+function detectProject(appDir) {
+  const pkgPath = path.join(appDir, 'package.json')
+  if (!fs.existsSync(pkgPath)) throw new NotAProjectError(appDir)
+
+  const metadata = readMetadata(appDir)
+  if (metadata) {
+    const { options } = metadata
+    return { ...options, appDir, plugins: loadPlugins(options.with, appDir) }
+  }
+
+  const pkg = fs.readJsonSync(pkgPath)
+  const envPath = path.join(appDir, '.env')
+  const env = fs.existsSync(envPath) ? parseEnv(fs.readFileSync(envPath, 'utf-8')) : {}
+  const installed = { ...pkg.devDependencies, ...pkg.dependencies }
+  const features = Object.keys(markers).reduce((acc, name) => ({ ...acc, [name]: !!installed[markers[name]] }), {})
+  const lockfile = Object.keys(lockfiles).find(file => fs.existsSync(path.join(appDir, file)))
+
+  return {
+    ...features,
+    appName: env.appName || pkg.name,
+    appDir,
+    title: env.title || '',
+    description: pkg.description || '',
+    author: pkg.author || '',
+    email: pkg.email || '',
+    keywords: pkg.keywords || [],
+    devServerPort: +env.DEV_SERVER_PORT || 8080,
+    apiPort: +env.API_PORT || 3000,
+    api: env.API || null,
+    server: features.express || !!databaseOf(features),
+    pm: lockfile ? lockfiles[lockfile] : detectPackageManager(),
+    plugins: []
+  }
+}
+
+module.exports = detectProject
@@ -0,0 +1,156 @@
+/*
+  Errors thrown by `createApp`, `resumeApp`, `addFeatures`, `upgradeProject`, `checkOutdated`,
+  `warmCache` & `rotateSecret`. The CLI catches these and prints a friendly message, while
+  programmatic consumers can check `instanceof` or `err.code`.
+*/
+
+class CnaError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+// No app name was given.
+class MissingNameError extends CnaError {
+  constructor(sandbox) {
+    super('No app name was provided.', 'MISSING_NAME')
+    this.sandbox = !!sandbox
+  }
+}
+
+// The app name doesn't pass npm's naming restrictions.
+class InvalidNameError extends CnaError {
+  constructor(appName, validation) {
+    super(`Could not create a project called "${appName}" because of npm naming restrictions.`, 'INVALID_NAME')
+    this.appName = appName
+    this.validation = validation
+  }
+}
+
+// The app directory already exists and `force` wasn't used.
+class DirectoryExistsError extends CnaError {
+  constructor(appName, appDir) {
+    super(`The directory ${appName} already exists.`, 'DIRECTORY_EXISTS')
+    this.appName = appName
+    this.appDir = appDir
+  }
+}
+
+// An option was given a value we can't use.
+class InvalidOptionError extends CnaError {
+  constructor(option, value, reason) {
+    super(`"${value}" is not a valid value for \`${option}\`. ${reason}`, 'INVALID_OPTION')
+    this.option = option
+    this.value = value
+  }
+}
+
+// Installing the dependencies failed.
+class InstallError extends CnaError {
+  constructor(command, cause) {
+    super(`\`${command}\` failed.`, 'INSTALL_FAILED')
+    this.command = command
+    this.cause = cause
+  }
+}
+
+// A `.cnarc` file couldn't be read or contains something invalid.
+class ConfigError extends CnaError {
+  constructor(file, reason) {
+    super(file ? `Problem with ${file}: ${reason}` : reason, 'BAD_CONFIG')
+    this.file = file
+  }
+}
+
+// A prompt couldn't be answered - non-interactive mode or the input ended.
+class PromptError extends CnaError {
+  constructor(question) {
+    super(`No answer was given for "${question}"`, 'NO_ANSWER')
+    this.question = question
+  }
+}
+
+// A plugin couldn't be found or isn't valid.
+class PluginError extends CnaError {
+  constructor(plugin, reason) {
+    super(`Could not use the plugin "${plugin}" - ${reason}`, 'BAD_PLUGIN')
+    this.plugin = plugin
+  }
+}
+
+// `cna add` was run somewhere that isn't a Create New App project.
+class NotAProjectError extends CnaError {
+  constructor(appDir) {
+    super(`${appDir} doesn't look like a Create New App project - no package.json was found.`, 'NOT_A_PROJECT')
+    this.appDir = appDir
+  }
+}
+
+// Files we need to change have been modified by hand & `force` wasn't used.
+class ConflictError extends CnaError {
+  constructor(conflicts) {
+    const files = conflicts.map(({ file }) => file).join(', ')
+    super(`These files have been modified since they were created: ${files}`, 'CONFLICT')
+    this.conflicts = conflicts
+  }
+}
+
+// `cna upgrade` couldn't do its thing - no `.cna.json`, no network, etc.
+class UpgradeError extends CnaError {
+  constructor(reason) {
+    super(reason, 'UPGRADE_FAILED')
+  }
+}
+
+// Creating the app was stopped part way through, e.x. by ctrl + c.
+class InterruptedError extends CnaError {
+  constructor(step) {
+    super(`Creating the app was interrupted before the "${step}" step.`, 'INTERRUPTED')
+    this.step = step
+  }
+}
+
+// `cna resume` was run somewhere without an unfinished app.
+class NothingToResumeError extends CnaError {
+  constructor(appDir) {
+    super(`There's nothing to resume in ${appDir} - no unfinished app was found.`, 'NOTHING_TO_RESUME')
+    this.appDir = appDir
+  }
+}
+
+// A package's metadata couldn't be read from the registry (`cna outdated` & `cna cache warm`).
+class RegistryError extends CnaError {
+  constructor(name, registry, reason) {
+    super(`Couldn't get ${name} from ${registry} - ${reason}.`, 'REGISTRY_FAILED')
+    this.packageName = name
+    this.registry = registry
+  }
+}
+
+// The project's session secret can't be rotated (`cna secret rotate`).
+class SecretError extends CnaError {
+  constructor(reason) {
+    super(reason, 'SECRET_FAILED')
+  }
+}
+
+module.exports = {
+  CnaError,
+  MissingNameError,
+  InvalidNameError,
+  DirectoryExistsError,
+  InvalidOptionError,
+  InstallError,
+  ConfigError,
+  PromptError,
+  PluginError,
+  NotAProjectError,
+  ConflictError,
+  UpgradeError,
+  InterruptedError,
+  NothingToResumeError,
+  RegistryError,
+  SecretError
+}
@@ -0,0 +1,51 @@
+/*
+  What `cna outdated`, `cna cache warm`, `pinVersions.js` & `checkLint.js` all start from -
+  every package any feature can add, & a way to work through them a few at a time.
+
+    everyDependency() // E.x. - { react: '^16.14.0', ... }
+    everyDependency({ pin: true }) // The versions `--pin` uses instead.
+*/
+
+const formDependencies = require('./dependencies')
+const { databases, databaseFlags } = require('./database')
+
+// Every feature at once - but an app has one database at most (see `database.js`).
+const allFeatures = {
+  redux: true,
+  router: true,
+  express: true,
+  server: true,
+  typescript: true,
+  tests: true,
+  lint: true
+}
+
+/*
+  The ranges of every package, dependencies & devDependencies together - keyed by name.
+  Turning every database on at once would only get one of them, so it's once per database.
+*/
+function everyDependency(options = {}) {
+  const all = Object.keys(databases).reduce((acc, db) => {
+    const { devDependencies, serverDependencies } = formDependencies({ ...allFeatures, ...options, ...databaseFlags(db) })
+    return { ...acc, ...devDependencies, ...serverDependencies }
+  }, {})
+
+  return Object.keys(all).sort().reduce((acc, name) => ({ ...acc, [name]: all[name] }), {})
+}
+
+// Runs `action` on each item, a few at a time - resolves with the results in order.
+async function pool(items, action, concurrency) {
+  const results = []
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await action(items[i])
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker))
+  return results
+}
+
+module.exports = { everyDependency, pool }
@@ -0,0 +1,37 @@
+/*
+  Downloads a published version of create-new-app into `~/.cna/versions/<version>`
+  so `cna upgrade` can regenerate the files that version created. Each version is
+  only downloaded once. `npm pack` is used no matter which package manager the
+  project uses since it comes with Node.
+*/
+
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const run = require('./run')
+const { UpgradeError } = require('./errors')
+
+const versionsDir = () => path.join(os.homedir(), '.cna', 'versions')
+
+function fetchVersion(version, emit = () => {}) {
+  const dir = path.join(versionsDir(), version)
+  const packageDir = path.join(dir, 'package')
+  if (fs.existsSync(path.join(packageDir, 'package.json'))) return packageDir
+
+  emit('fetch-version', { version })
+  fs.removeSync(dir)
+  fs.mkdirpSync(dir)
+
+  try {
+    run(`npm pack create-new-app@${version}`, true, dir)
+    run(`tar -xzf create-new-app-${version}.tgz`, true, dir)
+    run('npm i --production --ignore-scripts --no-package-lock -s', true, packageDir)
+  } catch (e) {
+    fs.removeSync(dir)
+    throw new UpgradeError(`Could not download create-new-app@${version} - are you online?`)
+  }
+
+  return packageDir
+}
+
+module.exports = fetchVersion
@@ -0,0 +1,23 @@
+/*
+  A random string for signing session cookies - e.x. the `secret` in `.env`. Comes from
+  Node's `crypto`, so it can't be guessed the way `Math.random()` can.
+*/
+
+const crypto = require('crypto')
+const { InvalidOptionError } = require('./errors')
+
+// 64 hex characters - 256 bits.
+const defaultLength = 64
+
+function generateSecret(length = defaultLength) {
+  return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length)
+}
+
+// Anything shorter than 32 characters (128 bits) is too easy to guess.
+function checkSecretLength(length, option = 'secretLength') {
+  if (!Number.isInteger(length) || length < 32) {
+    throw new InvalidOptionError(option, length, 'Use a whole number of at least 32 - shorter secrets are too easy to guess.')
+  }
+}
+
+module.exports = { generateSecret, checkSecretLength, defaultLength }
@@ -0,0 +1,305 @@
+/*
+  The guided process - what `cna` does when it's run without any arguments.
+
+  Every option is asked for, one step at a time, pre-filled with the values from
+  `.cnarc` files & presets (or the usual defaults). Pressing `esc` goes back a step.
+  Once everything's answered, a summary of every option is shown so anything can be
+  changed before the app is created.
+
+  Resolves with the answers, or `null` if the user cancelled.
+*/
+
+const chalk = require('chalk')
+const optionDefinitions = require('./optionDefinitions')
+const defaultsOf = require('./defaultsOf')
+const { detectPackageManager, packageManagers } = require('./packageManager')
+const { validatePort, validateAppName } = require('./validators')
+const { promptYN, promptQ, promptSelect, promptMulti, BACK } = require('./prompts')
+const { nextFreePort, privileged } = require('./choosePorts')
+const isPortFree = require('./isPortFree')
+const { databases, databaseOf, databaseFlags, resolveDatabase } = require('./database')
+
+const listOf = value => value.length ? value.join(', ') : chalk.gray('none')
+const textOf = value => value || chalk.gray('none')
+
+/*
+  Each step asks its question(s) & resolves with the answers to merge in (or `BACK`).
+  `show` turns the answers into what's shown for the step on the summary screen.
+*/
+const steps = [
+  {
+    title: 'App name',
+    show: ({ appName }) => appName,
+    ask: ({ appName, force }, cwd) => promptQ({
+      question: 'Enter a name for your app:',
+      initial: appName,
+      validate: name => validateAppName(name, { cwd, force })
+    }).then(answer => answer === BACK ? BACK : { appName: answer })
+  },
+  {
+    title: 'Title',
+    show: ({ title }) => textOf(title),
+    ask: ({ title }) => promptQ({ question: 'Webpage title (blank to skip):', initial: title }, true)
+      .then(answer => answer === BACK ? BACK : { title: answer || '' })
+  },
+  {
+    title: 'Addons',
+    show: ({ redux, router, typescript, tests, lint }) => (
+      listOf([
+        redux && 'Redux',
+        router && 'React Router',
+        typescript && 'TypeScript',
+        tests && 'Tests',
+        lint && 'Linting'
+      ].filter(Boolean))
+    ),
+    ask: ({ redux, router, typescript, tests, lint }) => promptMulti({
+      question: 'Which addons would you like?',
+      choices: [
+        { title: 'Redux', value: 'redux' },
+        { title: 'React Router', value: 'router' },
+        { title: 'TypeScript', value: 'typescript' },
+        { title: 'Tests (Jest)', value: 'tests' },
+        { title: 'Linting (ESLint & Prettier)', value: 'lint' }
+      ],
+      initial: [
+        redux && 'redux',
+        router && 'router',
+        typescript && 'typescript',
+        tests && 'tests',
+        lint && 'lint'
+      ].filter(Boolean)
+    }).then(answer => answer === BACK ? BACK : {
+      redux: answer.includes('redux'),
+      router: answer.includes('router'),
+      typescript: answer.includes('typescript'),
+      tests: answer.includes('tests'),
+      lint: answer.includes('lint')
+    })
+  },
+  {
+    title: 'Server',
+    show: ({ express, db }) => db ? `Express & ${databases[db]}` : express ? 'Express' : chalk.gray('none'),
+    ask: ({ express, db }) => promptSelect({
+      question: 'Would you like an API server?',
+      choices: [
+        { title: 'No server', value: 'none' },
+        { title: 'Express', value: 'express' },
+        ...Object.keys(databases).map(name => ({ title: `Express & ${databases[name]}`, value: name }))
+      ],
+      initial: db || (express ? 'express' : 'none')
+    }).then(answer => answer === BACK ? BACK : {
+      express: answer !== 'none',
+      db: databases[answer] ? answer : null,
+      ...databaseFlags(answer), // So a preset's `mongo` doesn't disagree with the answer.
+      ...(answer === 'none' && { monorepo: false, shared: false }) // Both need a server.
+    })
+  },
+  {
+    title: 'Layout',
+    when: ({ express }) => express,
+    show: ({ monorepo, shared }) => monorepo ? `Monorepo - client, server${shared ? ' & shared' : ''} packages` : 'One package',
+    ask: ({ monorepo, shared }) => promptSelect({
+      question: 'Keep the client & server in one package, or split them into a monorepo?',
+      choices: [
+        { title: 'One package', value: 'single' },
+        { title: 'Monorepo - client & server packages', value: 'monorepo' },
+        { title: 'Monorepo - client, server & shared packages', value: 'shared' }
+      ],
+      initial: shared ? 'shared' : monorepo ? 'monorepo' : 'single'
+    }).then(answer => answer === BACK ? BACK : { monorepo: answer !== 'single', shared: answer === 'shared' })
+  },
+  {
+    title: 'API prefix',
+    show: ({ api }) => textOf(api),
+    ask: ({ api }) => promptQ({
+      question: 'Route api requests with this prefix to the API server, e.x. /api (blank for none):',
+      initial: api,
+      sanitizer: answer => answer.replace(/ /g, '')
+    }, true).then(answer => answer === BACK ? BACK : { api: answer })
+  },
+  {
+    title: 'API port',
+    when: ({ express, api }) => express || api,
+    show: ({ apiPort }) => apiPort,
+    ask: ({ apiPort, express }) => askPort({
+      question: 'API server port:',
+      port: apiPort,
+      validate: validatePort,
+      // Without a server of our own, it's the port of an API that's already running.
+      check: express
+    }).then(answer => answer === BACK ? BACK : { apiPort: answer })
+  },
+  {
+    title: 'Dev server port',
+    show: ({ devServerPort }) => devServerPort,
+    ask: ({ devServerPort, apiPort, express, api }) => askPort({
+      question: 'Development server port:',
+      port: devServerPort,
+      taken: express || api ? [apiPort] : [],
+      validate: port => validatePort(port) ||
+        ((express || api) && +port === apiPort ? `The API server is using port ${apiPort}.` : null)
+    }).then(answer => answer === BACK ? BACK : { devServerPort: answer })
+  },
+  {
+    title: 'Author',
+    show: ({ author, email }) => author ? `${author}${email ? ` <${email}>` : ''}` : chalk.gray('none'),
+    ask: async ({ author, email }) => {
+      const name = await promptQ({ question: 'Author (blank to skip):', initial: author }, true)
+      if (name === BACK) return BACK
+
+      const address = await promptQ({
+        question: 'Email (blank to skip):',
+        initial: email,
+        validate: text => /^[^@\s]+@[^@\s]+$/.test(text) ? null : `"${text}" doesn't look like an email address.`
+      }, true)
+      return address === BACK ? BACK : { author: name || '', email: address || '' }
+    }
+  },
+  {
+    title: 'Description',
+    show: ({ description }) => textOf(description),
+    ask: ({ description }) => promptQ({ question: 'Description (blank to skip):', initial: description }, true)
+      .then(answer => answer === BACK ? BACK : { description: answer || '' })
+  },
+  {
+    title: 'Keywords',
+    show: ({ keywords }) => listOf(keywords),
+    ask: ({ keywords }) => promptQ({ question: 'Keywords, separated by spaces (blank to skip):', initial: keywords.join(' ') }, true)
+      .then(answer => answer === BACK ? BACK : { keywords: (answer || '').split(/[\s,]+/).filter(Boolean) })
+  },
+  {
+    title: 'Package manager',
+    show: ({ pm }) => pm,
+    ask: ({ pm }) => promptSelect({
+      question: 'Which package manager should install the dependencies?',
+      choices: Object.keys(packageManagers),
+      initial: pm
+    }).then(answer => answer === BACK ? BACK : { pm: answer })
+  }
+]
+
+// Every option the guided process resolves.
+const fields = [
+  'appName', 'title', 'redux', 'router', 'typescript', 'tests', 'lint', 'express', 'db', ...Object.keys(databases), 'monorepo',
+  'shared', 'api', 'apiPort', 'devServerPort', 'author', 'email', 'description', 'keywords', 'pm'
+]
+
+/*
+  Asks for a port, suggesting the next free one when it's taken. Ports below 1024 need
+  admin rights on most systems, so they're only used once that's confirmed.
+*/
+async function askPort({ question, port, taken = [], validate, check = true }) {
+  let initial = port
+  const suggestInstead = async busy => {
+    initial = await nextFreePort(busy, taken) || busy
+    console.log(chalk.yellow(`  Something is already using port ${busy} - ${initial} is free.`))
+  }
+
+  if (check && !privileged(port) && !await isPortFree(port)) await suggestInstead(port)
+
+  for (;;) {
+    const answer = await promptQ({ question, initial: String(initial), validate })
+    if (answer === BACK) return BACK
+
+    const chosen = +answer
+    if (!check) return chosen
+
+    if (privileged(chosen)) {
+      const sure = await promptYN(`  Ports below 1024 usually need admin rights to listen on. Use ${chosen} anyway?`, false)
+      if (sure === true) return chosen
+    } else if (await isPortFree(chosen)) {
+      return chosen
+    } else {
+      await suggestInstead(chosen)
+    }
+  }
+}
+
+async function guidedProcess(defaults = {}, cwd = process.cwd()) {
+  const db = databaseOf(resolveDatabase(defaults)) // E.x. a preset's `mongo: true`.
+  const initial = {
+    ...defaultsOf(optionDefinitions),
+    pm: detectPackageManager(),
+    ...defaults,
+    db,
+    express: !!(defaults.express || db)
+  }
+
+  const hasDefaults = Object.keys(defaults).length
+  console.log(`\nPressing \`enter\` keeps the ${hasDefaults ? 'pre-filled' : 'default'} answer & \`esc\` goes back a question.\n`)
+
+  let answers = await runSteps(initial, cwd)
+  for (;;) {
+    const choice = await summary(answers)
+    if (choice === 'create') break
+    if (choice === 'cancel') return null
+
+    // Change a single answer, then back to the summary. Going back from the summary changes the last one.
+    const index = choice === BACK ? steps.map(step => !step.when || step.when(answers)).lastIndexOf(true) : choice
+    answers = await runSteps(answers, cwd, index, index + 1)
+  }
+
+  return fields.reduce((acc, field) => ({ ...acc, [field]: answers[field] }), {})
+}
+
+/*
+  Asks the questions from `from` up to `to`. `esc` goes back to the previous question
+  actually asked - or, when changing an answer from the summary, back to the summary.
+*/
+async function runSteps(answers, cwd, from = 0, to = steps.length) {
+  const asked = []
+  const editing = from > 0 || to < steps.length
+  let index = from
+
+  while (index < to) {
+    const step = steps[index]
+    if (step.when && !step.when(answers)) {
+      index++
+      continue
+    }
+
+    const answer = await step.ask(answers, cwd)
+    if (answer === BACK) {
+      if (asked.length) index = asked.pop()
+      else if (editing) return answers
+      continue
+    }
+
+    answers = { ...answers, ...answer }
+    asked.push(index++)
+  }
+
+  return answers
+}
+
+// Shows every option & asks what to do next - resolves with 'create', 'cancel', `BACK` or a step's index.
+async function summary(answers) {
+  const shown = steps.filter(step => !step.when || step.when(answers))
+  const width = Math.max(...shown.map(({ title }) => title.length)) + 2
+
+  console.log(`\n${chalk.bold('Here\'s what will be created:')}\n`)
+  shown.forEach(({ title, show }) => console.log(`  ${title.padEnd(width)}${chalk.cyan(show(answers))}`))
+  console.log('')
+
+  const choice = await promptSelect({
+    question: 'Ready?',
+    choices: [
+      { title: 'Looks good - create it!', value: 'create' },
+      { title: 'Change something', value: 'change' },
+      { title: 'Cancel', value: 'cancel' }
+    ],
+    initial: 'create'
+  })
+  if (choice !== 'change') return choice
+
+  const step = await promptSelect({
+    question: 'What would you like to change?',
+    choices: shown.map(({ title }) => ({ title, value: steps.findIndex(s => s.title === title) })),
+    initial: 0
+  })
+
+  return step === BACK ? summary(answers) : step
+}
+
+module.exports = guidedProcess
@@ -0,0 +1,33 @@
+const run = require('./run')
+const { installCommand } = require('./packageManager')
+const { missingFromCache } = require('./packageCache')
+const adjustPkgJson = require('./adjustPkgJson')
+const { allDependencies } = require('./workspaces')
+const { InstallError } = require('./errors')
+
+// STEP 5
+async function installDependencies(options, emit = () => {}) {
+  const { appDir, offline, silent, pm, pin } = options
+  const command = installCommand(pm, offline)
+
+  // Say what an offline install won't find before it fails part way through.
+  if (offline) {
+    const missing = missingFromCache(Object.keys(allDependencies(appDir)), pm)
+    if (missing && missing.length) emit('cache-missing', { pm, packages: missing })
+  }
+
+  // Install the dependencies.
+  emit('install-start', { command, offline, pm })
+  try {
+    run(command, silent, appDir)
+  } catch (e) {
+    throw new InstallError(command, e)
+  }
+  emit('install-done', { command })
+
+  // Adjust the package.json dependencies to show their installed version.
+  // E.x. - "react": "^16" => "react": "^16.6.1"
+  await adjustPkgJson(appDir, pm, pin)
+}
+
+module.exports = installDependencies
@@ -1,27 +1,59 @@
 /*
-  Checks if the user is online.
-  Alternative packages:
-    * https://goo.gl/UEDXEt - `is-online`
-    * https://goo.gl/CcNBxw - `is-reachable`
-    * https://goo.gl/3zxtLa - `connectivity`
+  Checks if the user is online - or rather, if the npm registry is reachable, since that's
+  what installing needs. Looking up a well-known host says little behind a corporate DNS
+  that only resolves internal hosts, or a firewall that only lets the registry through.
+
+  The check is a `/-/ping` request (what `npm ping` uses) to the registry npm is configured
+  with (see `registry.js`). Any response counts - all we want to know is that it answered.
+  Both the host & how long to wait can be changed in a `.cnarc` file (see `config.js`):
+
+    "online": { "host": "npm.acme.corp", "timeout": 10000 }
+
+  `host` can be a url or a bare host name, in which case https is assumed.
 */
 
-const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const { loadConfig } = require('./config')
+const { configuredRegistry } = require('./registry')
 
-module.exports = () => new Promise(resolve => {
-  let slow = false
+const defaultTimeout = 3500
 
-  // Prevent this from taking forever for slow connections.
-  const tooSlow = setTimeout(() => {
-    slow = true
-    console.log('\nYour internet connection appears to be unstable.')
-    console.log('Proceeding with offline mode...\n')
-    resolve(false)
-  }, 3500)
-
-  // https://nodejs.org/api/dns.html
-  dns.lookup('google.com', (err, address, family) => {
+async function isOnline({ host, timeout, onSlow } = {}) {
+  const { online } = loadConfig()
+  const url = pingUrl(host || online.host || configuredRegistry())
+
+  return ping(url, Number(timeout || online.timeout) || defaultTimeout, onSlow)
+}
+
+// E.x. - 'npm.acme.corp' => 'https://npm.acme.corp/-/ping'
+function pingUrl(host) {
+  const base = /^https?:\/\//.test(host) ? host : `https://${host}`
+  return `${base.replace(/\/+$/, '')}/-/ping`
+}
+
+const ping = (url, timeout, onSlow) => new Promise(resolve => {
+  const client = url.startsWith('https:') ? https : http
+  let done = false
+  const finish = result => {
+    if (done) return
+    done = true
     clearTimeout(tooSlow)
-    !slow && resolve(!err)
+    resolve(result)
+  }
+
+  const request = client.get(url, res => {
+    res.resume()
+    finish(true)
   })
+  request.on('error', () => finish(false))
+
+  // Prevent this from taking forever for slow connections.
+  const tooSlow = setTimeout(() => {
+    onSlow && !done && onSlow()
+    finish(false)
+    request.destroy()
+  }, timeout)
 })
+
+module.exports = isOnline
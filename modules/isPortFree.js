@@ -0,0 +1,11 @@
+// Checks if nothing is listening on a port yet by trying to listen on it ourselves.
+
+const net = require('net')
+
+module.exports = port => new Promise(resolve => {
+  const server = net.createServer()
+
+  server.once('error', () => resolve(false)) // EADDRINUSE, EACCES, etc.
+  server.once('listening', () => server.close(() => resolve(true)))
+  server.listen(port)
+})
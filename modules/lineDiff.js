@@ -0,0 +1,38 @@
+/*
+  A tiny line-by-line diff, good enough to show someone what we'd change in a file.
+  Returns the lines prefixed with `-` (removed), `+` (added) or ` ` (unchanged),
+  keeping only `context` unchanged lines around each change. Gaps are marked with `...`.
+*/
+
+const matchLines = require('./matchLines')
+
+function lineDiff(before, after, context = 2) {
+  const a = before.split('\n')
+  const b = after.split('\n')
+  const lines = []
+  let i = 0
+  let j = 0
+
+  // Everything between two matching lines was removed from `a` or added in `b`.
+  matchLines(a, b).concat([[a.length, b.length]]).forEach(([nextI, nextJ]) => {
+    while (i < nextI) lines.push({ type: '-', text: a[i++] })
+    while (j < nextJ) lines.push({ type: '+', text: b[j++] })
+    if (i < a.length) lines.push({ type: ' ', text: a[i] })
+    i++
+    j++
+  })
+
+  // Only keep the unchanged lines close to a change.
+  const near = index => lines
+    .slice(Math.max(0, index - context), index + context + 1)
+    .some(({ type }) => type !== ' ')
+
+  return lines
+    .reduce((acc, line, index) => {
+      if (line.type !== ' ' || near(index)) return acc.concat(`${line.type} ${line.text}`)
+      return acc[acc.length - 1] === '...' ? acc : acc.concat('...')
+    }, [])
+    .join('\n')
+}
+
+module.exports = lineDiff
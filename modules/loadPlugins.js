@@ -0,0 +1,83 @@
+/*
+  Loads third-party feature packs - `cna my-app --with cna-plugin-acme --with ./my-plugin`.
+
+  A plugin is a module exporting a feature manifest (see `features/index.js`), so it
+  can add files, template variables, dependencies & webpack aliases / rules just like
+  the built-in features. On top of that, plugins can:
+
+    options - definitions added to `optionDefinitions.js`, e.x. `{ name: 'acmeTheme', type: String }`
+    hooks   - `beforeInstall` & `afterInstall` functions, called with `(options, emit)`
+
+  `when` is optional for plugins - they apply to every app unless told otherwise.
+  Paths in `files[].from` are relative to the plugin's own directory.
+
+  Plugins are found by path (anything starting with `.` or `/`), or by name from the
+  current directory's `node_modules` or next to create-new-app itself. For a name like
+  `acme`, `cna-plugin-acme` is tried as well. No network access is needed.
+*/
+
+const path = require('path')
+const optionDefinitions = require('./optionDefinitions')
+const { PluginError } = require('./errors')
+
+const isPath = str => str.startsWith('.') || path.isAbsolute(str)
+
+// Finds the plugin's main file.
+function resolvePlugin(name, cwd) {
+  if (isPath(name)) return require.resolve(path.resolve(cwd, name))
+
+  const paths = [cwd, path.resolve(__dirname, '..')]
+  const candidates = [name, !name.startsWith('cna-plugin-') && `cna-plugin-${name}`].filter(Boolean)
+
+  for (const candidate of candidates) {
+    try {
+      return require.resolve(candidate, { paths })
+    } catch (e) {}
+  }
+
+  throw new PluginError(name, 'it could not be found.')
+}
+
+function loadPlugin(name, cwd) {
+  const main = resolvePlugin(name, cwd)
+  const pluginDir = path.dirname(main)
+  let plugin
+
+  try {
+    plugin = require(main)
+  } catch (e) {
+    throw new PluginError(name, e.message)
+  }
+
+  if (!plugin || typeof plugin !== 'object') throw new PluginError(name, 'it must export an object.')
+
+  const { options = [], files } = plugin
+  options.forEach(({ name: option }) => {
+    if (optionDefinitions.some(def => def.name === option)) {
+      throw new PluginError(name, `the \`${option}\` option is already used by create-new-app.`)
+    }
+  })
+
+  return {
+    ...plugin,
+    name: plugin.name || name,
+    options,
+    when: plugin.when || (() => true),
+
+    // Plugin files are relative to the plugin, not our `files` folder.
+    files: files && (variables => files(variables).map(file => (
+      file.from ? { ...file, from: path.resolve(pluginDir, file.from) } : file
+    )))
+  }
+}
+
+function loadPlugins(names = [], cwd = process.cwd()) {
+  return [].concat(names)
+    .filter((name, i, arr) => arr.indexOf(name) === i)
+    .map(name => loadPlugin(name, cwd))
+}
+
+// The CLI options added by a list of loaded plugins.
+const pluginDefinitions = plugins => plugins.reduce((acc, { options }) => [...acc, ...options], [])
+
+module.exports = { loadPlugins, pluginDefinitions }
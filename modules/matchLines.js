@@ -0,0 +1,31 @@
+/*
+  Lines two texts have in common, as `[indexInA, indexInB]` pairs in order - the
+  longest common subsequence (https://en.wikipedia.org/wiki/Longest_common_subsequence_problem).
+  Used by `lineDiff.js` & `merge3.js`.
+*/
+
+function matchLines(a, b) {
+  const lcs = a.map(() => new Array(b.length + 1).fill(0)).concat([new Array(b.length + 1).fill(0)])
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const pairs = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++])
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+
+  return pairs
+}
+
+module.exports = matchLines
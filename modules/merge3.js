@@ -0,0 +1,53 @@
+/*
+  A line-based three-way merge (https://en.wikipedia.org/wiki/Merge_(version_control)#Three-way_merge).
+
+    base   - the file as an older version of create-new-app generated it
+    mine   - the file as it is in the project today
+    theirs - the file as the current version of create-new-app generates it
+
+  Lines that are the same in all three split the files into chunks. For each chunk,
+  whichever side changed it wins. When both sides changed it differently, both are
+  kept between git-style conflict markers & the chunk is counted as a conflict.
+*/
+
+const matchLines = require('./matchLines')
+
+const same = (a, b) => a.length === b.length && a.every((line, i) => line === b[i])
+
+function merge3(base, mine, theirs, label = 'create-new-app') {
+  const [b, m, t] = [base, mine, theirs].map(text => text.split('\n'))
+  const inMine = new Map(matchLines(b, m)) // Base line => line in `mine`.
+  const inTheirs = new Map(matchLines(b, t))
+  const lines = []
+  let conflicts = 0
+  let i = 0
+  let j = 0
+  let k = 0
+
+  while (i <= b.length) {
+    // The next base line that's unchanged on both sides (or the end of the files).
+    let next = i
+    while (next < b.length && !(inMine.has(next) && inTheirs.has(next))) next++
+    const mineEnd = next < b.length ? inMine.get(next) : m.length
+    const theirsEnd = next < b.length ? inTheirs.get(next) : t.length
+
+    const chunk = { base: b.slice(i, next), mine: m.slice(j, mineEnd), theirs: t.slice(k, theirsEnd) }
+    if (same(chunk.mine, chunk.base) || same(chunk.mine, chunk.theirs)) {
+      lines.push(...chunk.theirs)
+    } else if (same(chunk.theirs, chunk.base)) {
+      lines.push(...chunk.mine)
+    } else {
+      conflicts++
+      lines.push('<<<<<<< yours', ...chunk.mine, '=======', ...chunk.theirs, `>>>>>>> ${label}`)
+    }
+
+    if (next < b.length) lines.push(b[next])
+    i = next + 1
+    j = mineEnd + 1
+    k = theirsEnd + 1
+  }
+
+  return { contents: lines.join('\n'), conflicts }
+}
+
+module.exports = merge3
@@ -0,0 +1,19 @@
+const parseEnv = require('./parseEnv')
+
+// Appends the keys a `.env` file doesn't have yet. Existing values are never touched.
+function mergeEnv(existing, next) {
+  const known = parseEnv(existing)
+  const lines = next.split('\n').filter(line => {
+    const key = Object.keys(parseEnv(line))[0]
+    if (!key || key in known) return false
+
+    known[key] = true
+    return true
+  })
+
+  if (!lines.length) return existing
+  const separator = existing.endsWith('\n') ? '' : '\n'
+  return `${existing}${separator}${lines.join('\n')}\n`
+}
+
+module.exports = mergeEnv
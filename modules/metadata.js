@@ -0,0 +1,65 @@
+/*
+  `.cna.json` - written to every new project (other than sandboxes) so we know which
+  version of create-new-app created it & with what options. `cna upgrade` uses it to
+  regenerate the files the project started with (see `upgradeProject.js`).
+
+  {
+    "version": "4.0.0",
+    "options": { "appName": "my-app", "redux": true, ... }
+  }
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+const { version } = require('../package.json')
+
+const metadataFile = '.cna.json'
+
+// Options that only matter while creating the project, not to what gets created.
+const excluded = [
+  'appDir',
+  'cwd',
+  'online',
+  'offline',
+  'force',
+  'dryRun',
+  'silent',
+  'onProgress',
+  'signal',
+  'plugins',
+  'sandbox',
+  'version',
+  'help'
+]
+
+// Local plugins are recorded relative to the project so they can be found from there later on.
+function pluginPath(name, appDir, cwd) {
+  if (!name.startsWith('.') && !path.isAbsolute(name)) return name
+
+  const relative = path.relative(appDir, path.resolve(cwd, name))
+  return relative.startsWith('.') ? relative : `./${relative}`
+}
+
+// The options worth keeping, sorted so the file diffs nicely.
+function recordOptions(appDir, options) {
+  const { cwd = process.cwd() } = options
+  const plugins = (options.with || []).map(name => pluginPath(name, appDir, cwd))
+
+  return Object.keys({ ...options, with: plugins })
+    .filter(key => !excluded.includes(key) && options[key] !== undefined)
+    .sort()
+    .reduce((acc, key) => ({ ...acc, [key]: key === 'with' ? plugins : options[key] }), {})
+}
+
+function writeMetadata(appDir, options, createdWith = version) {
+  const recorded = recordOptions(appDir, options)
+  fs.writeJsonSync(path.join(appDir, metadataFile), { version: createdWith, options: recorded }, { spaces: 2 })
+}
+
+// `null` for projects created before `.cna.json` existed.
+function readMetadata(appDir) {
+  const file = path.join(appDir, metadataFile)
+  return fs.existsSync(file) ? fs.readJsonSync(file) : null
+}
+
+module.exports = { metadataFile, recordOptions, writeMetadata, readMetadata }
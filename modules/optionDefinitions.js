@@ -0,0 +1,185 @@
+const portValidator = require('./portValidator')
+
+/*
+  Options
+  -------------------
+
+  appName
+    * new folder created with this name
+    * package.json "name" field
+    * the database for each environment in the `.env` files uses this name (if `db` is used)
+    * set as a variable in `.env`
+
+  redux
+    * `utils` folder created with redux-specific sub-folders
+    * modifies `entry.js` & `App.jsx` accordingly
+
+  router
+    * creates `Home.jsx`, and `NotFound.jsx`
+    * modifies `entry.js` accordingly
+
+  typescript
+    * `.ts` & `.tsx` versions of every file, a `tsconfig.json` & a `typecheck` script
+    * the `tsconfig.json` path mappings mirror the webpack aliases
+
+  tests
+    * Jest, a `jest.config.js`, `test` & `test:watch` scripts & starter tests for the chosen features
+    * the `jest.config.js` module mappings mirror the webpack aliases
+
+  lint
+    * ESLint & Prettier configs with `lint` & `format` scripts
+    * separate browser (`src`) & Node (server, `api` & config files) environments
+    * the import resolver mirrors the webpack aliases
+
+  version
+    * displays the current version of this package
+    * ignores any other CLI arguments and only displays the version number
+
+  offline
+    * forces the `npm install` to use local cache
+    * also used when the npm registry can't be reached (see `isOnline.js`)
+    * `cna cache warm` fills the cache with everything any options can need
+
+  pm
+    * the package manager to install with - npm, yarn, or pnpm
+    * defaults to whichever one ran create-new-app (e.x. `yarn create new-app`), otherwise npm
+    * used in the generated package.json scripts & the final instructions
+
+  pin
+    * writes the exact versions from `versions.json` - tested together for this release - to package.json
+    * with npm, also ships the lockfile they were tested with
+
+  title
+    * sets the webpage title generated by Webpack's `HtmlWebpackPlugin`
+
+  force
+    * skips creating a directory for the app
+    * used for installing in a pre-existing directory
+    * use with caution
+
+  author, description, email, keywords
+    * populates package.json field names of the same value
+
+  api
+    * sets the `devServer.proxy[api]` key value
+    * for example '/api' would be the value
+    * set as API variable in the `.env` file
+
+  apiPort
+    * sets the `devServer.proxy[api]` port value
+    * triggers the use of the `api` default value
+    * defaults to 3000
+    * set as the API_PORT variable in the `.env` file
+    * with a server, swapped for the next free port if it's taken (see `choosePorts.js`)
+
+  express
+    * creates `server.js` and the `api` folder WITHOUT a `utilities` sub-folder
+
+  db
+    * creates `server.js` and the `api` folder WITH a `utilities` sub-folder
+    * sets up `sqlite`, `postgres` or `mongo` - a connection helper, sessions stored in it & its `.env` keys
+    * saved as a boolean option of the same name (see `database.js`)
+
+  mongo
+    * short for `db` mongo
+
+  monorepo
+    * needs `express` or `db`
+    * a workspace with `packages/client` (Webpack, `src` & `dist`) & `packages/server` (`server.js` & `api`)
+    * the root keeps `.env`, the tooling configs, every devDependency & scripts that run the packages'
+
+  shared
+    * needs `monorepo`
+    * adds `packages/shared` for code both the client & the server import
+
+  secretLength
+    * the length of the session `secret` in `.env` (if `db` is used)
+    * at least 32, defaults to 64 - generated with Node's `crypto`
+
+  devServerPort
+    * sets the `devServer.port` value
+    * defaults to 8080
+    * set as DEV_SERVER_PORT variable in the `.env` file
+    * swapped for the next free port if it's taken (see `choosePorts.js`)
+
+  with
+    * loads a plugin by name (e.x. `cna-plugin-acme` or just `acme`) or local path
+    * can be used multiple times
+    * plugins can add their own options, files, dependencies & webpack config (see `loadPlugins.js`)
+
+  preset
+    * uses the options saved under this name in a `.cnarc` file (see `config.js`)
+    * options from the command line take precedence over the preset's
+
+  save-preset
+    * saves the options used in this run under this name in `~/.cnarc`
+    * without an app name, the preset is saved but no app is created
+
+  yes, ci
+    * non-interactive mode for scripts & CI - no guided process, no prompts, no clearing the console
+    * missing information (e.x. the app name) fails with a non-zero exit code
+
+  json
+    * implies `yes`
+    * prints newline-delimited JSON progress events & a final summary instead of the usual output
+
+  dry-run
+    * prints every file that would be created, along with generated contents
+    * nothing is written, installed, or initialized
+*/
+
+const optionDefinitions = [
+  // Information only.
+  { name: 'version', alias: 'v', type: Boolean },
+  { name: 'help', alias: 'h', type: Boolean },
+
+
+  { name: 'appName', type: String, defaultOption: true }, // Main argument.
+  { name: 'title', alias: 't', type: String, defaultValue: '' },
+
+  // Optional addons.
+  { name: 'redux', alias: 'x', type: Boolean, defaultValue: false },
+  { name: 'router', alias: 'r', type: Boolean, defaultValue: false },
+  { name: 'typescript', alias: 'T', type: Boolean, defaultValue: false },
+  { name: 'tests', type: Boolean, defaultValue: false },
+  { name: 'lint', type: Boolean, defaultValue: false },
+
+  // Flags.
+  { name: 'offline', alias: 'o', type: Boolean, defaultValue: false },
+  { name: 'pm', type: String }, // Detected in `packageManager.js` when not provided.
+  { name: 'pin', type: Boolean, defaultValue: false },
+  { name: 'force', alias: 'f', type: Boolean, defaultValue: false }, // Use with caution.
+  { name: 'sandbox', alias: 's', type: Boolean, defaultValue: false },
+  { name: 'dry-run', type: Boolean, defaultValue: false },
+
+  // Non-interactive usage.
+  { name: 'yes', alias: 'y', type: Boolean },
+  { name: 'ci', type: Boolean },
+  { name: 'json', type: Boolean },
+
+  // Plugins (see `loadPlugins.js`).
+  { name: 'with', type: String, multiple: true, defaultValue: [] },
+
+  // Presets (see `config.js`).
+  { name: 'preset', type: String },
+  { name: 'save-preset', type: String },
+
+  // `package.json` fields.
+  { name: 'author', type: String, defaultValue: '' },
+  { name: 'description', type: String, defaultValue: '' },
+  { name: 'email', type: String, defaultValue: '' },
+  { name: 'keywords', type: String, multiple: true, defaultValue: [] },
+
+  // API / server / devServer options.
+  { name: 'devServerPort', type: val => portValidator(val, 'dev', 8080), defaultValue: 8080 },
+  { name: 'apiPort', type: val => portValidator(val, 'api', 3000), defaultValue: 3000 },
+  { name: 'api', type: String, defaultValue: null }, // No default from the command line, but defaulted in `dotEnv.js`.
+  { name: 'express', alias: 'e', type: Boolean },
+  { name: 'db', type: String }, // Validated in `database.js`.
+  { name: 'mongo', alias: 'm', type: Boolean },
+  { name: 'monorepo', type: Boolean, defaultValue: false },
+  { name: 'shared', type: Boolean, defaultValue: false },
+  { name: 'secretLength', type: Number } // Defaulted in `generateSecret.js`.
+]
+
+module.exports = optionDefinitions
@@ -0,0 +1,91 @@
+/*
+  Which packages aren't in a package manager's cache - an `--offline` install needs every
+  one of them, so it's better to say which are missing before it starts than to fail part
+  way through. Only the packages themselves are checked, not their own dependencies.
+
+    npm  - `npm config get cache` - the registry document for each package in `_cacache`,
+           found the way cacache (npm's cache) indexes it: by the sha256 of its key
+    yarn - `yarn cache dir` - a `npm-<name>-<version>-...` folder for each package
+    pnpm - `pnpm config get cache-dir` - a `<name>.json` for each package in the folder for
+           the registry's host (pnpm keeps one in each of its `metadata*` folders)
+
+  `missingFromCache` returns `null` when we can't tell - e.x. the package manager isn't installed.
+*/
+
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const { execSync } = require('child_process')
+const fs = require('fs-extra')
+const { configuredRegistry } = require('./registry')
+
+const ask = command => {
+  try {
+    const answer = execSync(command, { stdio: 'pipe', timeout: 10000 }).toString().trim()
+    return answer && answer !== 'undefined' ? answer : null
+  } catch (e) {
+    return null
+  }
+}
+
+// Each returns a `has(name)` function, or nothing when the cache can't be found.
+const caches = {
+  npm() {
+    const dir = ask('npm config get cache')
+    const registry = configuredRegistry()
+    if (!dir) return
+
+    return name => {
+      const key = `make-fetch-happen:request-cache:${registry}/${name.replace('/', '%2f')}`
+      const hash = crypto.createHash('sha256').update(key).digest('hex')
+      const bucket = path.join(dir, '_cacache', 'index-v5', hash.slice(0, 2), hash.slice(2, 4), hash.slice(4))
+      if (!fs.existsSync(bucket)) return false
+
+      // Entries are appended - removing one appends an entry without `integrity`.
+      const entries = fs.readFileSync(bucket, 'utf-8').trim().split('\n')
+      try {
+        return !!JSON.parse(entries.pop().split('\t')[1]).integrity
+      } catch (e) {
+        return false
+      }
+    }
+  },
+
+  yarn() {
+    const dir = ask('yarn cache dir')
+    if (!dir || !fs.existsSync(dir)) return
+
+    const folders = fs.readdirSync(dir)
+    return name => {
+      const prefix = `npm-${name.replace('/', '-')}-`
+      return folders.some(folder => folder.startsWith(prefix) && /^\d/.test(folder.slice(prefix.length)))
+    }
+  },
+
+  pnpm() {
+    const dir = ask('pnpm config get cache-dir') || defaultPnpmCache()
+    if (!fs.existsSync(dir)) return
+
+    const host = new URL(configuredRegistry()).host
+    const folders = fs.readdirSync(dir).filter(folder => folder.startsWith('metadata'))
+    return name => folders.some(folder => fs.existsSync(path.join(dir, folder, host, `${name}.json`)))
+  }
+}
+
+// https://pnpm.io/npmrc#cache-dir
+function defaultPnpmCache() {
+  const home = os.homedir()
+
+  if (process.env.XDG_CACHE_HOME) return path.join(process.env.XDG_CACHE_HOME, 'pnpm')
+  if (process.platform === 'darwin') return path.join(home, 'Library/Caches/pnpm')
+  if (process.platform === 'win32') return path.join(process.env.LOCALAPPDATA || home, 'pnpm-cache')
+  return path.join(home, '.cache/pnpm')
+}
+
+// E.x. - missingFromCache(['react', 'left-pad'], 'npm') => ['left-pad']
+function missingFromCache(names, pm = 'npm') {
+  const has = caches[pm] && caches[pm]()
+  return has ? names.filter(name => !has(name)) : null
+}
+
+module.exports = { missingFromCache }
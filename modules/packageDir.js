@@ -0,0 +1,26 @@
+/*
+  Where a package is actually installed in a project.
+
+  pnpm doesn't install packages directly in `node_modules`. Instead, `node_modules/<pkg>`
+  is a symlink into `node_modules/.pnpm/<pkg>@<version>/node_modules/<pkg>`, so we follow
+  the symlink (or look in `.pnpm` ourselves if it isn't there) to find the real package.
+*/
+
+const path = require('path')
+const { existsSync, realpathSync, readdirSync } = require('fs-extra')
+
+function packageDir(name, appDir, pm) {
+  const location = `${appDir}/node_modules/${name}`
+
+  if (pm !== 'pnpm') return location
+  if (existsSync(location)) return realpathSync(location)
+
+  // E.x. - `node_modules/.pnpm/@babel+core@7.1.6/node_modules/@babel/core`
+  const store = `${appDir}/node_modules/.pnpm`
+  const prefix = `${name.replace('/', '+')}@`
+  const match = existsSync(store) && readdirSync(store).filter(dir => dir.startsWith(prefix)).sort().pop()
+
+  return match ? path.join(store, match, 'node_modules', name) : location
+}
+
+module.exports = packageDir
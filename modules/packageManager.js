@@ -0,0 +1,46 @@
+/*
+  Everything that differs between npm, yarn & pnpm lives here - installing,
+  installing from the local cache (offline), and running package.json scripts - including
+  those of a single package in a `--monorepo`.
+*/
+
+const packageManagers = {
+  npm: {
+    install: 'npm i -s',
+    offline: 'npm --offline i -s', // https://goo.gl/aZLDLk
+    run: 'npm run',
+    workspace: (name, script) => `npm run ${script} -w ${name}`
+  },
+  yarn: {
+    install: 'yarn --silent',
+    offline: 'yarn --offline --silent',
+    run: 'yarn',
+    workspace: (name, script) => `yarn workspace ${name} ${script}`
+  },
+  pnpm: {
+    install: 'pnpm i --silent',
+    offline: 'pnpm i --offline --silent',
+    run: 'pnpm run',
+    workspace: (name, script) => `pnpm --filter ${name} run ${script}`
+  }
+}
+
+/*
+  Package managers identify themselves via the `npm_config_user_agent` environment variable
+  when running scripts or `create` commands - e.x. 'yarn/1.12.3 npm/? node/v10.13.0 darwin x64'.
+*/
+function detectPackageManager(userAgent = process.env.npm_config_user_agent || '') {
+  const name = userAgent.split('/')[0]
+  return packageManagers[name] ? name : 'npm'
+}
+
+// `npm i -s`, `yarn --offline --silent`, etc.
+const installCommand = (pm, offline) => packageManagers[pm][offline ? 'offline' : 'install']
+
+// `npm start`, `npm run build`, `yarn build`, etc.
+const runCommand = (pm, script) => script === 'start' ? `${pm} start` : `${packageManagers[pm].run} ${script}`
+
+// `npm run build -w my-app-client`, `yarn workspace my-app-client build`, etc.
+const workspaceCommand = (pm, name, script) => packageManagers[pm].workspace(name, script)
+
+module.exports = { packageManagers, detectPackageManager, installCommand, runCommand, workspaceCommand }
@@ -0,0 +1,12 @@
+// Reads the `key=value` lines of a `.env` file into an object, skipping comments & blank lines.
+function parseEnv(contents) {
+  return contents.split('\n').reduce((acc, line) => {
+    const match = line.match(/^\s*([\w.-]+)\s*=(.*)$/)
+    if (!match) return acc // A key that's repeated gets the last value, same as `dotenv`.
+
+    const value = match[2].trim().replace(/^(['"])(.*)\1$/, '$2')
+    return { ...acc, [match[1]]: value }
+  }, {})
+}
+
+module.exports = parseEnv
@@ -0,0 +1,61 @@
+/*
+  Works out every file `createFiles` will write or copy for a given set of options,
+  without touching the file system (other than reading our own templates).
+  The files come from the feature manifests - see `features/index.js`.
+  Each entry in the resulting plan is one of:
+
+    { file, contents }  - a generated or rendered file (`.env`, `src/entry.js`, etc.)
+    { file, source }    - a file copied as-is from the `files` folder
+    { file, dir: true } - an empty directory (e.x. `src/assets`)
+
+  `file` is always relative to the app directory - after any feature's `layout` has
+  moved it (e.x. `--monorepo` puts `src` in `packages/client`).
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+const composeFeatures = require('./composeFeatures')
+const renderTemplate = require('./renderTemplate')
+
+const dir = text => path.resolve(__dirname, '../files', text)
+
+// Files we never copy into an app.
+const ignored = ['.DS_Store', '.gitkeep']
+
+function planFiles(options) {
+  const { files, variables, layout } = composeFeatures(options)
+  const plan = new Map() // Later entries for the same file replace earlier ones.
+
+  const copy = (from, file) => {
+    const source = dir(from)
+
+    if (!fs.statSync(source).isDirectory()) return plan.set(file, { file, source })
+
+    const names = fs.readdirSync(source).filter(name => !ignored.includes(name))
+    if (!names.length) return plan.set(file, { file, dir: true })
+    names.forEach(name => copy(`${from}/${name}`, path.posix.join(file, name)))
+  }
+
+  // The current contents of a planned file.
+  const contentsOf = file => {
+    const entry = plan.get(file)
+    if (!entry || entry.dir) throw new Error(`Can't patch \`${file}\` - no feature creates it.`)
+
+    return entry.source ? fs.readFileSync(entry.source, 'utf-8') : entry.contents
+  }
+
+  files.forEach(({ from, to: location, render, create, patch }) => {
+    const to = layout(location)
+
+    if (create) return plan.set(to, { file: to, contents: create(options) })
+    if (patch) return plan.set(to, { file: to, contents: patch(contentsOf(to), variables) })
+    if (!render) return copy(from, to)
+
+    const template = fs.readFileSync(dir(from), 'utf-8')
+    plan.set(to, { file: to, contents: renderTemplate(template, variables, from) })
+  })
+
+  return [...plan.values()]
+}
+
+module.exports = planFiles
@@ -1,21 +1,15 @@
 const chalk = require('chalk')
+const { validatePort } = require('./validators')
 
 function portValidator(val, type, defaultPort) {
-  const num = Number.isInteger(+val) ? (+val) : undefined
+  const problem = validatePort(val)
 
-  if (num === undefined) {
-    const msg = `\n"${val}" is an invalid port. Defaulting to ${defaultPort}...\n`
-    console.log(chalk.yellow.bold(msg))
+  if (problem) {
+    console.warn(chalk.yellow.bold(`\n${problem} Defaulting to ${defaultPort}...\n`))
     return defaultPort
   }
 
-  if (num < 1 || num > 65535) {
-    const msg = `\n"${num}" is out of range (1 - 65535). Defaulting to ${defaultPort}...\n`
-    console.log(chalk.yellow.bold(msg))
-    return defaultPort
-  }
-
-  return num
+  return +val
 }
 
 module.exports = portValidator
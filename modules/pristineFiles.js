@@ -0,0 +1,17 @@
+/*
+  The files (see `planFiles.js`) this version of create-new-app generates for the
+  options recorded in a project's `.cna.json` (see `metadata.js`).
+
+  `cna upgrade` calls this on the installed version *and* on the version that created
+  the project (see `fetchVersion.js`), so its signature needs to stay the same.
+*/
+
+const planFiles = require('./planFiles')
+const { loadPlugins } = require('./loadPlugins')
+
+function pristineFiles(options, appDir) {
+  const plugins = loadPlugins(options.with, appDir)
+  return planFiles({ ...options, appDir, plugins })
+}
+
+module.exports = pristineFiles
@@ -1,63 +1,240 @@
+/*
+  The prompts used by the guided process:
+
+    promptYN     - a yes/no question
+    promptQ      - a free text question, optionally validated
+    promptSelect - pick one of a list with the arrow keys
+    promptMulti  - pick any of a list with the arrow keys & space bar
+
+  Pressing `esc` resolves any of them with `BACK` so the guided process can go back
+  a question. When stdin isn't a terminal (e.x. piped input), the lists are shown
+  numbered & answered by typing the numbers instead.
+*/
+
 const readline = require('readline')
 const chalk = require('chalk')
+const { PromptError } = require('./errors')
+
+// What a prompt resolves with when the user wants to go back a question.
+const BACK = Symbol('back')
+
+// Set by `disablePrompts` for non-interactive (CI) runs.
+let interactive = true
+
+// Makes every prompt fail immediately rather than wait for an answer.
+function disablePrompts() {
+  interactive = false
+}
+
+// Asks for a single line of input - resolves with the line or `BACK` if `esc` was pressed.
+function readLine(prompt, question) {
+  if (!interactive) return Promise.reject(new PromptError(question))
 
-// Prompts the user with a yes/no question and stores the answer.
-function promptYN(question, deflt) {
   // Create the readline instance that is the basis for our 'prompt'.
-  const n = chalk.bold('n')
-  const y = chalk.bold('y')
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
-    prompt: `${question} [${deflt ? y : 'y'}, ${deflt === false ? n : 'n'}] `
+    prompt
   })
 
-  return new Promise(resolve => {
+  return new Promise((resolve, reject) => {
+    let answered = false
+    const done = answer => {
+      answered = true
+      rl.close()
+      resolve(answer)
+    }
+    const onKeypress = (str, key = {}) => key.name === 'escape' && done(BACK)
+
     // Trigger the user prompt.
     rl.prompt()
 
+    // The input ended (e.x. piped stdin ran dry) before we got an answer.
+    rl.on('close', () => {
+      process.stdin.removeListener('keypress', onKeypress)
+      answered || reject(new PromptError(question))
+    })
+
     // Event listener that triggers when the user hit's enter.
-    rl.on('line', answer => {
-      rl.close()
+    rl.on('line', done)
 
-      switch (answer.trim().toLowerCase()) {
-        case 'y':
-        case 'yes':
-          return resolve(true)
-        case 'n':
-        case 'no':
-          return resolve(false)
-        default:
-          resolve(deflt === undefined ? promptYN(question) : deflt)
-      }
-    })
+    // Readline only emits keypress events for terminals.
+    rl.terminal && process.stdin.on('keypress', onKeypress)
   })
 }
 
-// Prompts the user with a question then sanitizes & stores the answer.
-function promptQ(data, isBlank) {
+// Prompts the user with a yes/no question and stores the answer.
+async function promptYN(question, deflt) {
+  const n = chalk.bold('n')
+  const y = chalk.bold('y')
+
+  for (;;) {
+    const answer = await readLine(`${question} [${deflt ? y : 'y'}, ${deflt === false ? n : 'n'}] `, question)
+    if (answer === BACK) return BACK
+
+    switch (answer.trim().toLowerCase()) {
+      case 'y':
+      case 'yes':
+        return true
+      case 'n':
+      case 'no':
+        return false
+      default:
+        if (deflt !== undefined) return deflt
+    }
+  }
+}
+
+/*
+  Prompts the user with a question then sanitizes & stores the answer.
+  `initial` is used when nothing is typed. `validate` returns a message
+  explaining what's wrong with an answer, which is shown before asking again.
+*/
+async function promptQ(data, isBlank) {
   if (typeof data === 'string') data = { question: data }
-  const { question, sanitizer } = data
+  const { question, sanitizer, validate, initial } = data
+  const hint = initial ? chalk.gray(` (${initial})`) : ''
 
-  // Create the readline instance that is the basis for our 'prompt'.
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    prompt: `${question} `
-  })
+  for (;;) {
+    let answer = await readLine(`${question}${hint} `, question)
+    if (answer === BACK) return BACK
 
-  return new Promise(resolve => {
-    // Trigger the user prompt.
-    rl.prompt()
+    if (sanitizer) answer = sanitizer(answer)
+    if (!answer && initial) answer = initial
 
-    // Event listener that triggers when the user hit's enter.
-    rl.on('line', answer => {
-      rl.close()
+    const problem = answer && validate && validate(answer)
+    if (problem) {
+      console.log(chalk.red(`  ${problem}`))
+    } else if (answer || isBlank) {
+      return answer || null
+    }
+  }
+}
 
-      if (sanitizer) answer = sanitizer(answer)
-      resolve((answer || !!isBlank) ? (answer || null) : promptQ(data))
+// Choices can be given as strings or as `{ title, value }` objects.
+const normalize = choices => choices.map(choice => (
+  typeof choice === 'string' ? { title: choice, value: choice } : choice
+))
+
+// Pick one - resolves with the chosen value.
+function promptSelect({ question, choices, initial }) {
+  return promptChoices({ question, choices: normalize(choices), initial: [initial], multiple: false })
+}
+
+// Pick any - resolves with an array of the chosen values.
+function promptMulti({ question, choices, initial = [] }) {
+  return promptChoices({ question, choices: normalize(choices), initial, multiple: true })
+}
+
+function promptChoices(options) {
+  if (!interactive) return Promise.reject(new PromptError(options.question))
+  return process.stdin.isTTY ? arrowKeyPrompt(options) : numberedPrompt(options)
+}
+
+// The arrow keys move, space toggles (multi-select), enter confirms & esc goes back.
+function arrowKeyPrompt({ question, choices, initial, multiple }) {
+  const { stdin, stdout } = process
+  const selected = new Set(initial)
+  const hint = multiple ? '↑/↓ to move, space to toggle, enter to confirm' : '↑/↓ to move, enter to select'
+  let cursor = Math.max(0, choices.findIndex(({ value }) => selected.has(value)))
+  let lines = 0
+
+  const clear = () => {
+    readline.moveCursor(stdout, 0, -lines)
+    readline.clearScreenDown(stdout)
+  }
+
+  const render = () => {
+    const rows = choices.map(({ title, value }, i) => {
+      const pointer = i === cursor ? chalk.cyan('❯') : ' '
+      const box = multiple ? `${selected.has(value) ? chalk.green('◉') : '◯'} ` : ''
+      return `${pointer} ${box}${i === cursor ? chalk.cyan(title) : title}`
     })
+
+    clear()
+    stdout.write(`${question} ${chalk.gray(`(${hint}, esc to go back)`)}\n${rows.join('\n')}\n`)
+    lines = rows.length + 1
+  }
+
+  return new Promise(resolve => {
+    const finish = answer => {
+      stdin.removeListener('keypress', onKeypress)
+      stdin.setRawMode(false)
+      stdin.pause()
+      clear()
+
+      if (answer !== BACK) {
+        const chosen = choices.filter(({ value }) => [].concat(answer).includes(value))
+        stdout.write(`${question} ${chalk.cyan(chosen.map(({ title }) => title).join(', ') || 'none')}\n`)
+      }
+
+      resolve(answer)
+    }
+
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        finish(BACK)
+        return process.kill(process.pid, 'SIGINT') // Raw mode swallows ctrl + c.
+      }
+
+      switch (key.name) {
+        case 'up':
+          cursor = (cursor - 1 + choices.length) % choices.length
+          break
+        case 'down':
+          cursor = (cursor + 1) % choices.length
+          break
+        case 'space': {
+          if (!multiple) return
+          const { value } = choices[cursor]
+          selected.has(value) ? selected.delete(value) : selected.add(value)
+          break
+        }
+        case 'escape':
+          return finish(BACK)
+        case 'return':
+          if (!multiple) return finish(choices[cursor].value)
+          return finish(choices.filter(({ value }) => selected.has(value)).map(({ value }) => value))
+        default:
+          return
+      }
+
+      render()
+    }
+
+    readline.emitKeypressEvents(stdin)
+    stdin.setRawMode(true)
+    stdin.resume()
+    stdin.on('keypress', onKeypress)
+    render()
   })
 }
 
-module.exports = { promptYN, promptQ }
+// Without a terminal, the choices are numbered & picked by typing their numbers.
+async function numberedPrompt({ question, choices, initial, multiple }) {
+  const numbers = text => text.split(/[\s,]+/).filter(Boolean).map(Number)
+  const chosen = choices
+    .map(({ value }, i) => initial.includes(value) && i + 1)
+    .filter(Boolean)
+    .join(',')
+
+  console.log(question)
+  choices.forEach(({ title }, i) => console.log(`  ${i + 1}) ${title}`))
+
+  const answer = await promptQ({
+    question: multiple ? 'Choose any (e.x. 1,2):' : 'Choose one:',
+    initial: chosen,
+    validate: text => {
+      const picked = numbers(text)
+      if (!multiple && picked.length > 1) return 'Choose just one.'
+      if (picked.some(num => !choices[num - 1])) return `Choose from 1 - ${choices.length}.`
+    }
+  }, multiple)
+
+  if (answer === BACK) return BACK
+
+  const values = numbers(answer || '').map(num => choices[num - 1].value)
+  return multiple ? values : values[0]
+}
+
+module.exports = { promptYN, promptQ, promptSelect, promptMulti, disablePrompts, BACK }
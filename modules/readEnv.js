@@ -0,0 +1,19 @@
+const fs = require('fs-extra')
+const path = require('path')
+const parseEnv = require('./parseEnv')
+
+/*
+  The variables a project sees for a NODE_ENV - its `.env` files merged the way its
+  `env.js` loads them, where the first file to set a variable wins. `null` without a `.env`.
+*/
+function readEnv(appDir, mode = 'development') {
+  if (!fs.existsSync(path.join(appDir, '.env'))) return null
+
+  const files = [mode !== 'test' && '.env.local', `.env.${mode}`, '.env'].filter(Boolean)
+  return files
+    .map(file => path.join(appDir, file))
+    .filter(file => fs.existsSync(file))
+    .reduce((acc, file) => ({ ...parseEnv(fs.readFileSync(file, 'utf-8')), ...acc }), {})
+}
+
+module.exports = readEnv
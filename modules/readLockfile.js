@@ -0,0 +1,123 @@
+/*
+  The versions a project's lockfile says were installed for each of its direct
+  dependencies - e.x. { react: '16.14.0', redux: '4.2.1' }. `null` when there's no lockfile.
+  A `--monorepo` has one lockfile for all its packages (see `workspaces.js`).
+
+  The lockfile is the record of what the package manager actually resolved, so unlike
+  `node_modules` it doesn't matter whether a package ended up hoisted, nested, symlinked
+  (pnpm) or wasn't installed at all.
+
+    npm  - `package-lock.json` - `packages['node_modules/<name>']` (v2 & v3) or `dependencies[<name>]` (v1)
+    yarn - `yarn.lock` - the entry for `<name>@<range>`
+    pnpm - `pnpm-lock.yaml` - the top-level (or each of the `importers`) `dependencies` & `devDependencies`
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+const { allDependencies } = require('./workspaces')
+
+const lockfiles = {
+  npm: 'package-lock.json',
+  yarn: 'yarn.lock',
+  pnpm: 'pnpm-lock.yaml'
+}
+
+function readLockfile(appDir, pm = 'npm') {
+  const file = path.join(appDir, lockfiles[pm])
+  if (!fs.existsSync(file)) return null
+
+  const contents = fs.readFileSync(file, 'utf-8')
+  const wanted = allDependencies(appDir)
+
+  if (pm === 'yarn') return fromYarn(contents, wanted)
+  if (pm === 'pnpm') return fromPnpm(contents, wanted)
+  return fromNpm(JSON.parse(contents), wanted)
+}
+
+function fromNpm({ packages, dependencies = {} }, wanted) {
+  return Object.keys(wanted).reduce((acc, name) => {
+    const entry = packages ? packages[`node_modules/${name}`] : dependencies[name]
+    if (entry && entry.version) acc[name] = entry.version
+    return acc
+  }, {})
+}
+
+/*
+  E.x. -
+    "@babel/core@^7", "@babel/core@^7.1.0":
+      version "7.1.6"
+*/
+function fromYarn(contents, wanted) {
+  const versions = {}
+  let names = []
+
+  contents.split('\n').forEach(line => {
+    if (/^\S.*:$/.test(line)) {
+      // Every `name@range` this entry covers.
+      names = line.slice(0, -1).split(',').map(key => key.trim().replace(/^"|"$/g, ''))
+      return
+    }
+
+    const version = line.match(/^\s+version "?([^"\s]+)"?$/)
+    if (!version) return
+
+    Object.keys(wanted)
+      .filter(name => names.includes(`${name}@${wanted[name]}`))
+      .forEach(name => (versions[name] = version[1]))
+  })
+
+  return versions
+}
+
+/*
+  E.x. - the version is either on the same line (v5) or its own line (v6 & up):
+    devDependencies:
+      react: 16.14.0
+      '@types/react':
+        specifier: ^16
+        version: 16.14.70
+
+  They're at the top level, or under each package in `importers` (workspaces, & v9 for every
+  project). `packages` & `snapshots` list what every package depends on too, which can be
+  other versions of the same packages - e.x. `react: 17.0.2` for something else's react.
+*/
+function fromPnpm(contents, wanted) {
+  const versions = {}
+  let top = null // The top-level key the current line is under, e.x. `importers`.
+  let section = null // The indentation of the current `dependencies:` section.
+  let name = null
+
+  contents.split('\n').forEach(line => {
+    const indent = line.search(/\S/)
+    const text = line.trim()
+
+    if (indent < 0) return
+    if (indent === 0) top = text.split(':')[0]
+
+    if (/^(dev)?[dD]ependencies:$/.test(text) && (indent === 0 || (indent === 4 && top === 'importers'))) {
+      section = indent
+      return
+    }
+
+    if (section === null) return
+    if (indent <= section) return (section = null)
+
+    const [key, ...rest] = text.split(':')
+    const value = rest.join(':').trim()
+
+    if (indent === section + 2) {
+      name = key.replace(/^'|'$/g, '')
+      if (value) versions[name] = value
+    } else if (key === 'version') {
+      versions[name] = value
+    }
+  })
+
+  // Peer dependencies get tacked on - e.x. `16.14.0(react@16.14.0)` (v6) or `1.2.3_react@16.14.0` (v5).
+  return Object.keys(wanted).reduce((acc, dependency) => {
+    if (versions[dependency]) acc[dependency] = versions[dependency].split(/[(_]/)[0]
+    return acc
+  }, {})
+}
+
+module.exports = { readLockfile, lockfiles }
@@ -0,0 +1,74 @@
+/*
+  Reads package metadata straight from an npm registry rather than running `npm view`
+  once per package - https://github.com/npm/registry/blob/master/docs/REGISTRY-API.md
+  The abbreviated documents have everything we need - every version (with its peer
+  dependencies) & the dist-tags.
+
+  Any registry that speaks npm's API works, e.x. a local stand-in like Verdaccio.
+*/
+
+const http = require('http')
+const https = require('https')
+const { execSync } = require('child_process')
+const { RegistryError } = require('./errors')
+
+const defaultRegistry = 'https://registry.npmjs.org'
+let npmRegistry
+
+/*
+  The registry npm is configured to use - from an `.npmrc`, `npm_config_registry`, etc.
+  Asking npm is the only way to get every place it can be set right, so it's done once.
+*/
+function configuredRegistry() {
+  if (process.env.npm_config_registry) return process.env.npm_config_registry.replace(/\/+$/, '')
+
+  if (npmRegistry === undefined) {
+    try {
+      npmRegistry = execSync('npm config get registry', { stdio: 'pipe', timeout: 5000 }).toString().trim()
+    } catch (e) {
+      npmRegistry = ''
+    }
+  }
+
+  return (/^https?:\/\//.test(npmRegistry) ? npmRegistry : defaultRegistry).replace(/\/+$/, '')
+}
+
+function fetchPackage(name, registry = defaultRegistry, timeout = 15000, retries = 3) {
+  // Scoped packages keep their `@` but escape the `/` - e.x. `@babel%2fcore`.
+  const url = `${registry.replace(/\/+$/, '')}/${name.replace('/', '%2f')}`
+  const headers = { accept: 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8' }
+  const client = url.startsWith('https:') ? https : http
+
+  return new Promise((resolve, reject) => {
+    const fail = reason => reject(new RegistryError(name, registry, reason))
+    const request = client.get(url, { headers }, res => {
+      // Too many requests - wait as long as the registry asks (or a second) & try again.
+      if (res.statusCode === 429 && retries) {
+        res.resume()
+        const wait = (Number(res.headers['retry-after']) || 1) * 1000
+        return setTimeout(() => fetchPackage(name, registry, timeout, retries - 1).then(resolve, reject), wait)
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume()
+        return fail(res.statusCode === 404 ? 'it isn\'t there' : `it responded with ${res.statusCode}`)
+      }
+
+      let body = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => (body += chunk))
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body))
+        } catch (e) {
+          fail('it didn\'t respond with JSON')
+        }
+      })
+    })
+
+    request.setTimeout(timeout, () => request.destroy(new Error('it took too long to respond')))
+    request.on('error', err => fail(err.message))
+  })
+}
+
+module.exports = { fetchPackage, configuredRegistry, defaultRegistry }
@@ -0,0 +1,68 @@
+/*
+  A tiny template renderer for the files in the `files` folder.
+
+  Values
+  ------
+  `@@name@@` is replaced with the value of the `name` variable. Multi-line values
+  are indented to match the line the placeholder sits on, so they can be written
+  without worrying about where they'll end up.
+
+  Conditional blocks
+  ------------------
+  Lines containing only a directive are removed from the output. Blocks can be nested.
+
+    // @@if redux@@
+    import { Provider } from 'react-redux'
+    // @@else@@
+    ...
+    // @@endif@@
+
+  `// @@if !router@@` is used for the opposite.
+*/
+
+const directive = /^\s*\/\/ @@(if !?\w+|else|endif)@@\s*$/
+const placeholder = /@@(\w+)@@/g
+
+function renderTemplate(template, variables, name = 'template') {
+  const fail = message => { throw new Error(`${name}: ${message}`) }
+  const stack = [] // One entry per open `if` block - whether its lines are being kept.
+  const keeping = () => stack.every(block => block.keep)
+
+  const lines = template.split('\n').reduce((acc, line, i) => {
+    const match = line.match(directive)
+
+    if (!match) {
+      if (keeping()) acc.push(line.replace(placeholder, (_, key) => value(key, line, i)))
+      return acc
+    }
+
+    const [command, condition = ''] = match[1].split(' ')
+    if (command === 'if') {
+      const key = condition.replace('!', '')
+      if (!(key in variables)) fail(`unknown variable "${key}" on line ${i + 1}.`)
+
+      const truthy = !!variables[key]
+      stack.push({ keep: condition[0] === '!' ? !truthy : truthy })
+    } else {
+      if (!stack.length) fail(`\`${command}\` without an \`if\` on line ${i + 1}.`)
+      if (command === 'else') stack[stack.length - 1].keep = !stack[stack.length - 1].keep
+      if (command === 'endif') stack.pop()
+    }
+
+    return acc
+  }, [])
+
+  if (stack.length) fail('missing `endif`.')
+
+  function value(key, line, i) {
+    if (!(key in variables)) fail(`unknown variable "${key}" on line ${i + 1}.`)
+
+    // https://goo.gl/DirJ71 - indent following lines to match the placeholder's line.
+    const indent = ' '.repeat(line.search(/\S/))
+    return String(variables[key]).split('\n').join(`\n${indent}`)
+  }
+
+  return lines.join('\n')
+}
+
+module.exports = renderTemplate
@@ -0,0 +1,48 @@
+/*
+  `cna resume` - finishes creating an app that failed (or was interrupted) part way through.
+
+  The options & progress of the failed run are read from the project's `.cna-resume.json`
+  (see `runCreation.js`) & creation carries on from the step that failed. If it fails
+  again, the error's `rollback()` still undoes everything - the original run included.
+
+  const { resumeApp } = require('create-new-app')
+
+  resumeApp({ appDir: 'my-app' }).then(({ appDir }) => console.log(`Created ${appDir}`))
+*/
+
+const path = require('path')
+const isOnline = require('./isOnline')
+const startTransaction = require('./transaction')
+const { loadPlugins } = require('./loadPlugins')
+const { runCreation, readResumeFile, summary } = require('./runCreation')
+const { NothingToResumeError } = require('./errors')
+
+async function resumeApp(options = {}) {
+  const { cwd = process.cwd(), silent, signal, onProgress = () => {} } = options
+  const emit = (type, data = {}) => onProgress({ type, ...data })
+  const appDir = path.resolve(cwd, options.appDir || '.')
+
+  const saved = readResumeFile(appDir)
+  if (!saved) throw new NothingToResumeError(appDir)
+
+  const { step, options: recorded, transaction } = saved
+  const online = options.online === undefined ? await isOnline() : options.online
+  const resumed = {
+    ...recorded,
+    pm: options.pm || recorded.pm,
+    offline: !online || !!options.offline,
+    plugins: loadPlugins(recorded.with, appDir), // Recorded relative to the project.
+    cwd: appDir,
+    appDir,
+    silent,
+    signal
+  }
+
+  emit('resume', { appName: resumed.appName, appDir, step })
+  if (!resumed.sandbox && resumed.offline) emit('offline', { online, pm: resumed.pm })
+
+  await runCreation(resumed, emit, startTransaction(appDir, transaction), step)
+  return summary(resumed)
+}
+
+module.exports = resumeApp
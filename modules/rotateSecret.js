@@ -0,0 +1,62 @@
+/*
+  `cna secret rotate` - swaps the session `secret` in `.env` for a new one & keeps the old
+  one as `previousSecret`. The server signs new session cookies with the new secret but
+  still accepts ones signed with the previous (see `server-db.js`), so rotating doesn't
+  log everyone out at once. Rotating again drops the oldest.
+
+  Nothing else in `.env` is touched. In production, set both variables in your host's
+  environment config the same way.
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+const parseEnv = require('./parseEnv')
+const detectProject = require('./detectProject')
+const { generateSecret, checkSecretLength, defaultLength } = require('./generateSecret')
+const { databaseOf } = require('./database')
+const { SecretError } = require('./errors')
+
+// E.x. - `secret=abc123`, with whatever surrounds the `=` kept as is.
+const line = key => new RegExp(`^(\\s*${key}\\s*=).*$`, 'm')
+
+function rotateSecret(options = {}) {
+  const { cwd = process.cwd(), onProgress = () => {} } = options
+  const emit = (type, data = {}) => onProgress({ type, ...data })
+
+  const project = detectProject(cwd)
+  const { appName, appDir } = project
+  const length = options.length === undefined ? project.secretLength || defaultLength : options.length
+  checkSecretLength(length, 'length')
+
+  if (!databaseOf(project)) throw new SecretError('Only apps with a database (`--db`) have a session secret.')
+
+  const envFile = path.join(appDir, '.env')
+  if (!fs.existsSync(envFile)) throw new SecretError(`There's no \`.env\` in ${appDir} - copy \`.env.example\` to \`.env\` first.`)
+
+  const contents = fs.readFileSync(envFile, 'utf-8')
+  const { secret: previous } = parseEnv(contents)
+  const secret = generateSecret(length)
+
+  // The previous secret goes right after the new one, unless `.env` already has a place for it.
+  let next = setLine(contents, 'secret', secret)
+  if (previous) {
+    next = line('previousSecret').test(next)
+      ? setLine(next, 'previousSecret', previous)
+      : next.replace(line('secret'), match => `${match}\npreviousSecret=${previous}`)
+  }
+
+  fs.writeFileSync(envFile, next)
+  emit('file-written', { file: '.env' })
+
+  return { appName, appDir, length, kept: !!previous }
+}
+
+// Replaces the value of `key`, or adds it to the end. A replacer function, so a `$` in `value` isn't a pattern.
+function setLine(contents, key, value) {
+  if (line(key).test(contents)) return contents.replace(line(key), (_, start) => `${start}${value}`)
+
+  const separator = !contents || contents.endsWith('\n') ? '' : '\n'
+  return `${contents}${separator}${key}=${value}\n`
+}
+
+module.exports = rotateSecret
@@ -2,11 +2,11 @@
 
 const { execSync } = require('child_process')
 
-module.exports = (command, silent) => {
+module.exports = (command, silent, cwd) => {
   /*
     The silent option mute's the commands CLI output except for errors.
     This helps keep the CLI looking clean.
   */
   const stdio = silent ? ['pipe', 'pipe', 2] : 'inherit' // https://goo.gl/QnaS5C
-  return execSync(command, { stdio })
+  return execSync(command, { stdio, cwd })
 }
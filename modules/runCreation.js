@@ -0,0 +1,130 @@
+/*
+  The steps that create an app once its options are settled, in order:
+
+    directory     - create the project directory
+    files         - write the project's files & `.cna.json`
+    beforeInstall - features' & plugins' `beforeInstall` hooks
+    install       - install the dependencies
+    git           - initialize a git repository
+    afterInstall  - features' & plugins' `afterInstall` hooks
+
+  Everything written is tracked (see `transaction.js`). If a step fails - or the run is
+  stopped through `options.signal` - what's needed to carry on is saved to `.cna-resume.json`
+  in the project & the error thrown gets a few extra properties:
+
+    err.step     - the step that failed
+    err.appDir   - the unfinished project
+    err.rollback - a function that undoes everything the run did
+
+  `resumeApp.js` picks things up again from the failed step.
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+const createFiles = require('./createFiles')
+const composeFeatures = require('./composeFeatures')
+const installDependencies = require('./installDependencies')
+const { recordOptions, writeMetadata, metadataFile } = require('./metadata')
+const { lockfiles } = require('./readLockfile')
+const run = require('./run')
+const { InterruptedError } = require('./errors')
+
+const resumeFile = '.cna-resume.json'
+
+const steps = {
+  directory: createProjectDirectory,
+  files: (options, emit, track) => {
+    createFiles(options, emit, track)
+    if (options.sandbox) return
+
+    track(metadataFile)
+    writeMetadata(options.appDir, options)
+  },
+  beforeInstall: (options, emit) => runHooks(composeFeatures(options).hooks.beforeInstall, options, emit),
+  install: (options, emit, track) => {
+    track('node_modules', { backup: false })
+    Object.values(lockfiles).forEach(file => track(file))
+    return installDependencies(options, emit)
+  },
+  git: (options, emit, track) => {
+    track('.git', { backup: false })
+    initializeGit(options, emit)
+  },
+  afterInstall: (options, emit) => runHooks(composeFeatures(options).hooks.afterInstall, options, emit)
+}
+
+// Sandboxes are only a directory & some files.
+const stepsFor = ({ sandbox }) => sandbox ? ['directory', 'files'] : Object.keys(steps)
+
+async function runCreation(options, emit, transaction, from = 'directory') {
+  const { appDir, signal } = options
+  const order = stepsFor(options)
+
+  for (const step of order.slice(order.indexOf(from))) {
+    try {
+      if (signal && signal.aborted) throw new InterruptedError(step)
+      await steps[step](options, emit, transaction.track)
+    } catch (err) {
+      throw failed(err, step, options, transaction)
+    }
+  }
+
+  transaction.finish()
+  fs.removeSync(path.join(appDir, resumeFile))
+}
+
+// Saves what `cna resume` needs & lets whoever catches the error roll everything back.
+function failed(err, step, options, transaction) {
+  const { appDir, sandbox } = options
+
+  if (fs.existsSync(appDir)) {
+    transaction.track(resumeFile)
+    fs.writeJsonSync(path.join(appDir, resumeFile), {
+      step,
+      options: { ...recordOptions(appDir, options), ...(sandbox && { sandbox }) },
+      transaction: transaction.state
+    }, { spaces: 2 })
+  }
+
+  err.step = step
+  err.appDir = appDir
+  err.rollback = transaction.rollback
+  return err
+}
+
+// `null` unless a previous run failed part way through.
+function readResumeFile(appDir) {
+  const file = path.join(appDir, resumeFile)
+  return fs.existsSync(file) ? fs.readJsonSync(file) : null
+}
+
+function createProjectDirectory(options, emit) {
+  const { appName, appDir, force, sandbox } = options
+
+  if (force && fs.existsSync(appDir)) emit('force', { appName, appDir })
+
+  // Create the project directory if it doesn't already exist.
+  fs.mkdirpSync(appDir)
+  emit('dir-created', { appName, appDir, sandbox })
+}
+
+// Not a big deal if git isn't installed.
+function initializeGit({ appDir }, emit) {
+  try {
+    run('git init', true, appDir) // Don't display stdout.
+    emit('git-init')
+  } catch (e) {}
+}
+
+// Runs `beforeInstall` or `afterInstall` hooks one at a time.
+async function runHooks(hooks, options, emit) {
+  for (const hook of hooks) await hook(options, emit)
+}
+
+// What `createApp` & `resumeApp` resolve with.
+function summary({ appName, appDir, sandbox, server, dryRun, pm, plugins }) {
+  const pluginNames = plugins.map(({ name }) => name)
+  return { appName, appDir, sandbox, server, dryRun: !!dryRun, pm, plugins: pluginNames }
+}
+
+module.exports = { runCreation, readResumeFile, resumeFile, summary }
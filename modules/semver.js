@@ -0,0 +1,36 @@
+/*
+  npm's own semver (https://docs.npmjs.com/misc/semver) - for the versions & ranges found in
+  `package.json` files, the feature manifests & registry metadata (e.x. peer dependencies).
+
+  `latest` is the same as `*`. Anything else that isn't a semver range (git urls, `file:`,
+  etc.) gets the benefit of the doubt.
+*/
+
+const semver = require('semver')
+
+// E.x. - 'latest' => '*', '^1.2' => '>=1.2.0 <2.0.0', 'git+https://...' => null
+const rangeOf = range => semver.validRange(range === 'latest' ? '*' : range)
+
+function satisfies(version, range) {
+  if (!rangeOf(range)) return true
+  return semver.valid(version) ? semver.satisfies(version, rangeOf(range)) : false
+}
+
+// The newest of `versions` in `range` (or `null`).
+function maxSatisfying(versions, range) {
+  return semver.maxSatisfying(versions.filter(version => semver.valid(version)), rangeOf(range) || '*')
+}
+
+/*
+  How big a step it is from one version to a newer one - 'major', 'minor', 'patch'
+  or `null` when it isn't newer. For 0.x versions, a change in the first non-zero
+  part is breaking, so it's 'major' - e.x. 0.2.0 => 0.3.0.
+*/
+function diff(from, to) {
+  if (semver.lte(to, from)) return null
+  if (!semver.satisfies(to, `^${from.replace(/-.*/, '')}`)) return 'major'
+
+  return semver.minor(from) !== semver.minor(to) ? 'minor' : 'patch'
+}
+
+module.exports = { satisfies, maxSatisfying, diff }
@@ -0,0 +1,33 @@
+const fs = require('fs-extra')
+const chalk = require('chalk')
+
+// Human-friendly file sizes - 1234 => '1.2 kB'
+const formatSize = bytes => bytes < 1000 ? `${bytes} B` : `${(bytes / 1000).toFixed(1)} kB`
+
+function showDryRun({ appName, appDir, files }) {
+  const sizeOf = ({ contents, source }) => (
+    source ? fs.statSync(source).size : Buffer.byteLength(contents, 'utf-8')
+  )
+
+  console.log(`\n${chalk.bold('Dry run')} - nothing will be written, installed, or initialized.`)
+  console.log(`The following would be created in ${chalk.green(appDir)}:\n`)
+
+  files.forEach(entry => {
+    const { file, contents, dir } = entry
+    const name = dir ? `${file}/` : file
+    const size = dir ? '' : chalk.gray(` (${formatSize(sizeOf(entry))})`)
+    const generated = contents !== undefined ? chalk.yellow(' [generated]') : ''
+
+    console.log(`  ${name}${size}${generated}`)
+  })
+
+  // Show the contents of every file we generate on the fly.
+  files
+    .filter(({ contents }) => contents !== undefined)
+    .forEach(({ file, contents }) => {
+      console.log(`\n${chalk.cyan.bold(`----- ${appName}/${file} -----`)}\n`)
+      console.log(contents)
+    })
+}
+
+module.exports = showDryRun
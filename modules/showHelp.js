@@ -3,6 +3,24 @@ const chalk = require('chalk')
 function showHelp() {
   console.log(`
     Usage: ${chalk.bold('create-new-app')} ${chalk.green('<project-directory>')} [options]
+           ${chalk.bold('create-new-app')} ${chalk.green('<command>')} [options]
+
+
+    Commands:
+
+        resume [dir]      finishes creating an app that failed or was interrupted part way through
+                          (supports --offline, --pm & --json)
+        add <feature...>  adds redux, router, express or a database to the project in this directory
+                          (supports --force, --dry-run, --offline, --pm & --json)
+        upgrade           updates the project in this directory to this version's templates
+                          (supports --dry-run, --offline, --pm & --json)
+        doctor            checks the project in this directory for problems (supports --json)
+        outdated          compares the dependencies apps get with the latest versions on the registry
+                          (supports --registry <url> & --json)
+        cache warm        caches every package apps can need so --offline works later on
+                          (supports --pm, --registry <url> & --json)
+        secret rotate     replaces the session secret in .env, keeping the old one for existing sessions
+                          (supports --length & --json)
 
 
     Options:
@@ -11,12 +29,20 @@ function showHelp() {
         -v, --version     shows the version number
         -h, --help        shows what you're looking at now
         -o, --offline     forces the \`npm install\` to use local cache
+        --pm              the package manager to use - npm, yarn, or pnpm
+        --pin             exact, tested-together versions & (with npm) a lockfile
         -t, --title       sets the webpage title
         -f, --force       skips creating a new directory & installs in a pre-existing one
+        --dry-run         shows the files that would be created without writing anything
+        -y, --yes, --ci   non-interactive - never prompts & fails if information is missing
+        --json            prints newline-delimited JSON progress events (implies \`--yes\`)
 
       ${chalk.cyan.bold('App options:')}
         -x, --redux       includes redux in your application, completely wired up
         -r, --router      includes React Router ^4 in your application, completely wired up
+        -T, --typescript  .ts & .tsx files, a tsconfig.json & a \`typecheck\` script
+        --tests           Jest & starter tests for the chosen features
+        --lint            ESLint & Prettier with \`lint\` & \`format\` scripts
 
       ${chalk.cyan.bold('package.json field options:')}
         --author          \\
@@ -28,9 +54,20 @@ function showHelp() {
         --api             sets the \`devServer.proxy[api]\` key value
         --apiport         sets the \`devServer.proxy[api]\` port value
         -e, --express     sets up an Express api server for Webpack to proxy
-        -m, --mongo       sets up an Express api server with MongoDB for Webpack to proxy
+        --db              sets up an Express api server with a database - sqlite, postgres or mongo
+        -m, --mongo       short for --db mongo
+        --monorepo        splits the app into client & server packages (with --express or --db)
+        --shared          adds a package for code the client & server share (with --monorepo)
+        --secretLength    the length of the session secret in .env (with --db) - defaults to 64
         -p, --port        sets the development server port
 
+      ${chalk.cyan.bold('Plugins:')}
+        --with            loads a plugin by name or local path - can be used multiple times
+
+      ${chalk.cyan.bold('Presets:')}
+        --preset          uses a preset saved in \`~/.cnarc\` or \`./.cnarc\`
+        --save-preset     saves the options used in this run as a preset in \`~/.cnarc\`
+
       ${chalk.cyan.bold('Creating a sandbox project:')}
         -s, --sandbox     simply creates index.html, styles.css, and main.js files
 
@@ -0,0 +1,70 @@
+/*
+  Keeps track of everything a run of `createApp` writes so it can be undone.
+
+  When the app directory is new, rolling back simply removes it. When it already
+  existed (`--force`), only what the run itself added is removed & any files it
+  overwrote are restored from a backup - everything else is left alone.
+
+  `state` is plain JSON so it can be saved with the progress of a failed run (see
+  `runCreation.js`) & picked up again by `cna resume`.
+*/
+
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+
+function startTransaction(appDir, state) {
+  state = state || {
+    existed: fs.existsSync(appDir),
+    created: [], // Paths (relative to `appDir`) that didn't exist before, in the order they were made.
+    backups: {}, // Overwritten file => where its original was copied to.
+    backupDir: path.join(os.tmpdir(), 'cna-backups', `${path.basename(appDir)}-${Date.now()}`)
+  }
+
+  /*
+    Call before writing to `file`. Directories & files we can't sensibly back up
+    (e.x. `node_modules`) can skip the backup, in which case they're left as they are.
+  */
+  function track(file, { backup = true } = {}) {
+    if (!state.existed || state.created.includes(file) || state.backups[file]) return
+
+    const destination = path.join(appDir, file)
+    if (fs.existsSync(destination)) {
+      if (!backup || !fs.statSync(destination).isFile()) return
+
+      const copy = path.join(state.backupDir, file)
+      fs.copySync(destination, copy)
+      state.backups[file] = copy
+      return
+    }
+
+    // Any parent directories we're about to create belong to this run too.
+    const parents = []
+    for (let dir = path.dirname(file); dir !== '.' && !fs.existsSync(path.join(appDir, dir)); dir = path.dirname(dir)) {
+      parents.unshift(dir)
+    }
+
+    state.created.push(...parents.filter(dir => !state.created.includes(dir)), file)
+  }
+
+  // Undoes everything tracked - newest first.
+  function rollback() {
+    if (!state.existed) {
+      fs.removeSync(appDir)
+    } else {
+      state.created.slice().reverse().forEach(file => fs.removeSync(path.join(appDir, file)))
+      Object.keys(state.backups).forEach(file => fs.copySync(state.backups[file], path.join(appDir, file)))
+    }
+
+    fs.removeSync(state.backupDir)
+  }
+
+  // Everything went well - the backups aren't needed anymore.
+  function finish() {
+    fs.removeSync(state.backupDir)
+  }
+
+  return { state, track, rollback, finish }
+}
+
+module.exports = startTransaction
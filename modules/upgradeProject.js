@@ -0,0 +1,218 @@
+/*
+  `cna upgrade` - brings a project up to date with the installed version of create-new-app.
+
+  The project's files are generated twice from the options in its `.cna.json` (see
+  `metadata.js`) - once by the version that created it (see `fetchVersion.js`) & once
+  by this version. Each file is then three-way merged (see `merge3.js`):
+
+    create   - new in this version
+    update   - changed in this version & untouched in the project
+    merge    - changed in both & merged cleanly. `package.json` gets the new dependency
+               ranges & scripts, `.env` gets any new keys
+    conflict - changed in both in a way that couldn't be merged. Text files get git-style
+               conflict markers, anything else is left as it is
+    remove   - no longer generated & untouched in the project
+    keep     - no longer generated but modified, so we leave it be
+
+  Files deleted from the project stay deleted.
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+const { version } = require('../package.json')
+const isOnline = require('./isOnline')
+const merge3 = require('./merge3')
+const mergeEnv = require('./mergeEnv')
+const parseEnv = require('./parseEnv')
+const { environments } = require('../file-creators/dotEnv')
+const fetchVersion = require('./fetchVersion')
+const pristineFiles = require('./pristineFiles')
+const writeChanges = require('./writeChanges')
+const installDependencies = require('./installDependencies')
+const { metadataFile, readMetadata, writeMetadata } = require('./metadata')
+const { UpgradeError } = require('./errors')
+
+// Files that are merged their own way - each package's in a `--monorepo` too.
+const merges = {
+  'package.json': upgradePackageJson,
+  '.env': (mine, base, next) => ({ contents: mergeEnv(mine, next) })
+}
+
+async function upgradeProject(options = {}) {
+  const { cwd = process.cwd(), dryRun, silent, onProgress = () => {} } = options
+  const emit = (type, data = {}) => onProgress({ type, ...data })
+  const appDir = cwd
+
+  const metadata = readMetadata(appDir)
+  if (!metadata) {
+    throw new UpgradeError(`No ${metadataFile} was found in ${appDir} - was it created by create-new-app?`)
+  }
+
+  const { version: from, options: recorded } = metadata
+  const pm = options.pm || recorded.pm
+  const result = { appName: recorded.appName, appDir, from, to: version, dryRun: !!dryRun, files: [], conflicts: [] }
+
+  if (from === version) return result
+  if (isNewer(from, version)) {
+    throw new UpgradeError(`${recorded.appName} was created with create-new-app ${from} - you have ${version} installed.`)
+  }
+
+  const oldDir = fetchVersion(from, emit)
+
+  // Versions before `cna upgrade` can't regenerate their files.
+  const oldPristineFiles = path.join(oldDir, 'modules/pristineFiles.js')
+  if (!fs.existsSync(oldPristineFiles)) {
+    throw new UpgradeError(`${recorded.appName} was created with create-new-app ${from}, which came before \`cna upgrade\` - it can't be upgraded from.`)
+  }
+
+  const oldFiles = require(oldPristineFiles)(recorded, appDir)
+  const changes = planUpgrade(appDir, oldFiles, pristineFiles(recorded, appDir))
+
+  result.files = changes.map(({ file, action }) => ({ file, action }))
+  result.conflicts = changes
+    .filter(({ action }) => action === 'conflict')
+    .map(({ file, details }) => ({ file, details }))
+
+  if (dryRun) return result
+
+  writeChanges(appDir, changes, emit)
+  writeMetadata(appDir, { ...recorded, cwd: appDir })
+
+  // Bumped or new dependencies.
+  if (changes.some(({ dependencies }) => dependencies)) {
+    const online = options.online === undefined ? await isOnline() : options.online
+    const offline = !online || !!options.offline
+
+    if (offline) emit('offline', { online, pm })
+    await installDependencies({ appDir, offline, silent, pm }, emit)
+  }
+
+  return result
+}
+
+// Compares the old & new files with what's in the project.
+function planUpgrade(appDir, oldFiles, newFiles) {
+  const oldPlan = new Map(oldFiles.map(entry => [entry.file, entry]))
+  const changes = []
+
+  newFiles.forEach(entry => {
+    const { file, dir } = entry
+    const destination = path.join(appDir, file)
+    const old = oldPlan.get(file)
+
+    if (dir) return old || fs.existsSync(destination) || changes.push({ file, action: 'create', dir })
+
+    const next = contentsOf(entry)
+    const base = old && !old.dir ? contentsOf(old) : null
+    const mine = fs.existsSync(destination) ? fs.readFileSync(destination) : null
+
+    if (!mine) return base || changes.push({ file, action: 'create', contents: withoutOldEnv(appDir, file, next) })
+
+    const merge = merges[path.posix.basename(file)]
+    if (merge && base) {
+      const merged = merge(String(mine), String(base), String(next))
+      if (merged.contents === String(mine) && !merged.details) return
+
+      return changes.push({ ...merged, file, action: merged.details ? 'conflict' : 'merge' })
+    }
+
+    if (mine.equals(next) || (base && base.equals(next))) return
+    if (base && mine.equals(base)) return changes.push({ file, action: 'update', contents: next })
+    if (!base || [base, mine, next].some(isBinary)) {
+      return changes.push({ file, action: 'conflict', details: 'left as it is' })
+    }
+
+    const merged = merge3(String(base), String(mine), String(next), `create-new-app ${version}`)
+    changes.push({
+      file,
+      action: merged.conflicts ? 'conflict' : 'merge',
+      contents: merged.contents,
+      details: merged.conflicts && 'conflict markers added'
+    })
+  })
+
+  // Files this version doesn't generate anymore.
+  const newFileNames = newFiles.map(({ file }) => file)
+  oldPlan.forEach((entry, file) => {
+    const destination = path.join(appDir, file)
+    if (entry.dir || newFileNames.includes(file) || !fs.existsSync(destination)) return
+
+    const untouched = fs.readFileSync(destination).equals(contentsOf(entry))
+    changes.push({ file, action: untouched ? 'remove' : 'keep' })
+  })
+
+  return changes
+}
+
+/*
+  Dependencies get the new version's ranges (if they changed) & new dependencies are added.
+  Scripts are updated unless they've been modified, which is reported as a conflict.
+*/
+function upgradePackageJson(mine, base, next) {
+  const pkg = JSON.parse(mine)
+  const before = JSON.parse(base)
+  const after = JSON.parse(next)
+  const installed = { ...pkg.devDependencies, ...pkg.dependencies }
+  const conflicts = []
+  let dependencies = false
+  let scripts = false
+
+  const sections = ['dependencies', 'devDependencies']
+  sections.forEach(section => {
+    Object.keys(after[section] || {}).forEach(name => {
+      const range = after[section][name]
+      const oldRange = (before.dependencies || {})[name] || (before.devDependencies || {})[name]
+
+      if (range === oldRange || (!oldRange && installed[name])) return
+
+      // Bumped dependencies stay wherever the project has them.
+      const where = sections.find(key => (pkg[key] || {})[name]) || section
+      pkg[where] = { ...pkg[where], [name]: range }
+      dependencies = true
+    })
+  })
+
+  Object.keys(after.scripts || {}).forEach(name => {
+    const script = (pkg.scripts || {})[name]
+    const oldScript = (before.scripts || {})[name]
+    const newScript = after.scripts[name]
+
+    if (newScript === oldScript || newScript === script) return
+    if (script !== undefined && script !== oldScript) return conflicts.push(`scripts.${name}`)
+
+    pkg.scripts = { ...pkg.scripts, [name]: newScript }
+    scripts = true
+  })
+
+  const details = conflicts.length ? `modified, left as they are: ${conflicts.join(', ')}` : undefined
+  const contents = dependencies || scripts ? JSON.stringify(pkg, null, 2) : mine
+  return { contents, dependencies, details }
+}
+
+/*
+  A project from before the files for each environment has everything in `.env` - e.x. its
+  own `mongoURI`. The new files would take precedence, so they leave out what `.env` has.
+*/
+function withoutOldEnv(appDir, file, contents) {
+  const envFile = path.join(appDir, '.env')
+  const environmentFile = environments.some(environment => path.posix.basename(file) === `.env.${environment}`)
+  if (!environmentFile || !fs.existsSync(envFile)) return contents
+
+  const existing = parseEnv(fs.readFileSync(envFile, 'utf-8'))
+  const kept = String(contents).split('\n').filter(line => !(Object.keys(parseEnv(line))[0] in existing))
+  return Buffer.from(kept.join('\n'))
+}
+
+// Planned files as buffers, so binary files (e.x. `favicon.ico`) can be compared too.
+const contentsOf = ({ source, contents }) => source ? fs.readFileSync(source) : Buffer.from(contents)
+
+const isBinary = buffer => buffer.includes(0)
+
+// E.x. - isNewer('3.18.0', '3.17.2') => true
+function isNewer(a, b) {
+  const [x, y] = [a, b].map(v => v.split('.').map(Number))
+  const index = x.findIndex((part, i) => part !== y[i])
+  return index !== -1 && x[index] > y[index]
+}
+
+module.exports = upgradeProject
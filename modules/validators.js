@@ -0,0 +1,26 @@
+/*
+  Validation shared by the CLI options & the guided process. Each validator returns
+  a message explaining what's wrong, or `null` if all is well.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const validateName = require('validate-npm-package-name')
+
+function validatePort(val) {
+  const num = +val
+
+  if (!Number.isInteger(num)) return `"${val}" is an invalid port.`
+  if (num < 1 || num > 65535) return `"${num}" is out of range (1 - 65535).`
+  return null
+}
+
+function validateAppName(appName, { cwd = process.cwd(), force } = {}) {
+  const { validForNewPackages, errors = [], warnings = [] } = validateName(appName)
+
+  if (!validForNewPackages) return [...errors, ...warnings][0]
+  if (!force && fs.existsSync(path.join(cwd, appName))) return `The directory ${appName} already exists.`
+  return null
+}
+
+module.exports = { validatePort, validateAppName }
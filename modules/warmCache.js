@@ -0,0 +1,161 @@
+/*
+  `cna cache warm` - fills the package manager's cache with every package any combination
+  of features can need, so `--offline` works later on - on a plane, or on an air-gapped
+  machine that's handed the cache directory.
+
+  Installing every feature at once isn't enough. Which versions of their dependencies an
+  app gets depends on what else it has - npm reuses a version that's already in the tree
+  when it can, so an app with fewer features ends up with versions the all-in-one install
+  never needed. What's always true is that a package manager picks the `latest` tag when
+  it's in range & the newest version in range otherwise (skipping deprecated ones if it can).
+  So starting from the ranges in the feature manifests (see `dependencies.js`) & the versions
+  `--pin` uses, we follow those picks through the registry until nothing new turns up.
+
+  Every version found is then installed into a throwaway directory under an alias
+  (e.x. `"cna-12": "npm:react@16.14.0"`), which leaves it in the cache.
+
+  const { warmCache } = require('create-new-app')
+
+  warmCache({ pm: 'yarn' }).then(({ packages, versions, missing }) => ...)
+*/
+
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const run = require('./run')
+const { everyDependency, pool } = require('./everyPackage')
+const { detectPackageManager, installCommand } = require('./packageManager')
+const { missingFromCache } = require('./packageCache')
+const { fetchPackage, configuredRegistry } = require('./registry')
+const { satisfies, maxSatisfying } = require('./semver')
+const { InstallError } = require('./errors')
+const pinned = require('../versions.json')
+
+// Nothing needs to run, and npm can't satisfy peer dependencies with everything under an alias.
+const installFlags = {
+  npm: '--ignore-scripts --legacy-peer-deps --no-audit --no-fund',
+  yarn: '--ignore-scripts',
+  pnpm: '--ignore-scripts'
+}
+
+async function warmCache(options = {}) {
+  const { pm = detectPackageManager(), silent, onProgress = () => {}, concurrency = 8 } = options
+  const registry = options.registry || configuredRegistry()
+  const emit = (type, data = {}) => onProgress({ type, ...data })
+
+  const ranges = everyDependency()
+  const packages = Object.keys(ranges).sort()
+  const toEdges = obj => Object.keys(obj).map(name => ({ name, range: obj[name] }))
+
+  // npm installs `--pin` apps from the shipped lockfile, so its versions are needed too.
+  emit('cache-resolve', { registry, count: packages.length })
+  const found = await resolveAll(
+    [...toEdges(ranges), ...toEdges(pinned), ...(pm === 'npm' ? lockedEdges() : [])],
+    name => fetchPackage(name, registry),
+    concurrency
+  )
+
+  const manifest = { name: 'cna-cache', private: true, dependencies: {}, optionalDependencies: {} }
+  found.forEach(({ name, version, optional }, i) => {
+    manifest[optional ? 'optionalDependencies' : 'dependencies'][`cna-${i}`] = `npm:${name}@${version}`
+  })
+
+  const command = `${installCommand(pm)} ${installFlags[pm]}`
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cna-cache-'))
+
+  emit('cache-warm', { pm, count: found.length })
+  try {
+    fs.writeJsonSync(path.join(dir, 'package.json'), manifest, { spaces: 2 })
+    run(command, silent, dir)
+  } catch (e) {
+    throw new InstallError(command, e)
+  } finally {
+    fs.removeSync(dir)
+  }
+
+  return { pm, registry, packages, versions: found.length, missing: missingFromCache(packages, pm) || [] }
+}
+
+// Every package in the shipped npm lockfile - e.x. `node_modules/a/node_modules/b` => b.
+function lockedEdges() {
+  const { packages } = fs.readJsonSync(path.resolve(__dirname, '../files/pinned/npm-lockfile.json'))
+
+  return Object.keys(packages)
+    .filter(key => key && packages[key].version)
+    .map(key => ({
+      name: key.split('node_modules/').pop(),
+      range: packages[key].version,
+      optional: !!packages[key].optional
+    }))
+}
+
+/*
+  Follows the dependencies (& peer dependencies) of each version a range would pick, a
+  level at a time. Anything only reachable through optional dependencies is marked as
+  such - they're often for another platform (e.x. `fsevents`) & won't install here.
+  E.x. - [{ name: 'react', version: '16.14.0', optional: false }, ...]
+*/
+async function resolveAll(edges, fetch, concurrency) {
+  const metadata = {}
+  const found = {}
+  const seen = {}
+
+  const visit = async ({ name, range, optional = false }) => {
+    // Aliases point to another package - e.x. `npm:string-width@^4.2.0`.
+    const alias = range.match(/^npm:(@?[^@]+)@(.*)$/)
+    if (alias) [, name, range] = alias
+
+    // Git urls, tarballs, local paths, etc. aren't in the registry.
+    if (/[:/]/.test(range)) return []
+
+    // Something only optional so far might turn out to be required.
+    const key = `${name}@${range}`
+    if (seen[key] === 'required' || (seen[key] && optional)) return []
+    seen[key] = optional ? 'optional' : 'required'
+
+    let info
+    try {
+      info = await (metadata[name] = metadata[name] || fetch(name))
+    } catch (e) {
+      if (optional) return []
+      throw e
+    }
+
+    return picks(info, range).reduce((acc, version) => {
+      const id = `${name}@${version}`
+      if (found[id] && (optional || !found[id].optional)) return acc
+      found[id] = { name, version, optional }
+
+      const { dependencies = {}, optionalDependencies = {}, peerDependencies = {}, peerDependenciesMeta = {} } = info.versions[version]
+      const edge = (deps, isOptional) => Object.keys(deps).map(dep => ({ name: dep, range: deps[dep], optional: optional || isOptional }))
+      const peers = Object.keys(peerDependencies)
+        .filter(peer => !(peerDependenciesMeta[peer] || {}).optional)
+        .reduce((obj, peer) => ({ ...obj, [peer]: peerDependencies[peer] }), {})
+
+      return acc.concat(
+        edge({ ...dependencies, ...peers }, false),
+        edge(optionalDependencies, true)
+      )
+    }, [])
+  }
+
+  for (let level = edges; level.length;) {
+    level = [].concat(...await pool(level, visit, concurrency))
+  }
+
+  return Object.keys(found).sort().map(id => found[id])
+}
+
+// The versions of a package any package manager could pick for a range.
+function picks({ versions, 'dist-tags': tags = {} }, range) {
+  if (tags[range]) return [tags[range]]
+
+  const all = Object.keys(versions)
+  const current = all.filter(version => !versions[version].deprecated)
+  const latest = tags.latest && satisfies(tags.latest, range) ? tags.latest : null
+
+  return [latest, maxSatisfying(current, range), maxSatisfying(all, range)]
+    .filter((version, i, arr) => version && versions[version] && arr.indexOf(version) === i)
+}
+
+module.exports = warmCache
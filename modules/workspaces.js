@@ -0,0 +1,37 @@
+/*
+  The packages inside a `--monorepo` project - the folders matching the `workspaces` in its
+  root `package.json` (e.x. `packages/*`), relative to the project. Other projects have none.
+*/
+
+const path = require('path')
+const fs = require('fs-extra')
+
+// E.x. - ['packages/client', 'packages/server']
+function workspaces(appDir) {
+  const { workspaces: patterns = [] } = fs.readJsonSync(path.join(appDir, 'package.json'))
+
+  return [].concat(...patterns.map(pattern => {
+    if (!pattern.endsWith('/*')) return [pattern]
+
+    const parent = pattern.slice(0, -2)
+    const dir = path.join(appDir, parent)
+    return fs.existsSync(dir) ? fs.readdirSync(dir).sort().map(name => `${parent}/${name}`) : []
+  })).filter(dir => fs.existsSync(path.join(appDir, dir, 'package.json')))
+}
+
+/*
+  Everything the project's `package.json` files ask for - e.x. { react: '^16', express: '^4' }.
+  The packages themselves are linked by the package manager, not installed.
+*/
+function allDependencies(appDir) {
+  const manifests = ['.', ...workspaces(appDir)].map(dir => fs.readJsonSync(path.join(appDir, dir, 'package.json')))
+  const linked = manifests.slice(1).map(({ name }) => name)
+
+  return manifests.reduce((acc, { devDependencies, dependencies }) => {
+    const wanted = { ...devDependencies, ...dependencies }
+    Object.keys(wanted).filter(name => !linked.includes(name)).forEach(name => (acc[name] = wanted[name]))
+    return acc
+  }, {})
+}
+
+module.exports = { workspaces, allDependencies }
@@ -0,0 +1,27 @@
+const path = require('path')
+const fs = require('fs-extra')
+
+// Applies the changes worked out by `addFeatures` & `upgradeProject` to the project.
+function writeChanges(appDir, changes, emit = () => {}) {
+  changes.forEach(({ file, action, contents, source, dir }) => {
+    const destination = path.join(appDir, file)
+
+    if (action === 'remove') {
+      fs.removeSync(destination)
+      return emit('file-removed', { file })
+    }
+
+    if (dir) return fs.mkdirpSync(destination)
+    if (source) {
+      fs.copySync(source, destination)
+    } else if (contents !== undefined) {
+      fs.outputFileSync(destination, contents)
+    } else {
+      return // Left as-is - e.x. `keep`.
+    }
+
+    emit('file-written', { file, action })
+  })
+}
+
+module.exports = writeChanges
@@ -0,0 +1,66 @@
+/*
+  Writes the exact versions `--pin` uses - run before each release.
+
+    node pinVersions.js
+
+  Every package any feature can add is resolved to the newest version its range in the
+  feature manifests allows & saved to `versions.json`. An npm lockfile for all of them is
+  saved to `files/pinned/npm-lockfile.json`, which `--pin` copies into apps installed with
+  npm so even the dependencies' dependencies are the ones we tested. Look over the changes,
+  then run `node checkLint.js` & create an app or two with `--pin` to test them together.
+  `cna outdated` shows what's newer than the pinned versions & checks their peer dependencies.
+*/
+
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const chalk = require('chalk')
+const run = require('./modules/run')
+const { everyDependency, pool } = require('./modules/everyPackage')
+const { fetchPackage, configuredRegistry } = require('./modules/registry')
+const { maxSatisfying } = require('./modules/semver')
+
+const dir = path.join(os.tmpdir(), 'cna-pin-versions')
+
+pinVersions().catch(err => {
+  console.error(chalk.red(err.message))
+  process.exit(1)
+})
+
+async function pinVersions() {
+  const ranges = everyDependency({ appName: 'pin-versions' })
+  const names = Object.keys(ranges)
+  const registry = configuredRegistry()
+  const previous = fs.readJsonSync(path.join(__dirname, 'versions.json'))
+
+  console.log(`Resolving ${chalk.green(names.length)} packages from ${chalk.blue(registry)}...`)
+  const found = await pool(names, name => fetchPackage(name, registry).then(metadata => newest(metadata, ranges[name])), 8)
+  const versions = names.reduce((acc, name, i) => ({ ...acc, [name]: found[i] }), {})
+
+  const missing = names.filter(name => !versions[name])
+  if (missing.length) throw new Error(`Nothing matches ${missing.map(name => `${name}@${ranges[name]}`).join(', ')}.`)
+
+  fs.writeJsonSync(path.join(__dirname, 'versions.json'), versions, { spaces: 2 })
+  writeLockfile(versions)
+
+  const changed = names.filter(name => previous[name] !== versions[name])
+  if (changed.length) {
+    console.table(changed.map(name => ({ package: name, was: previous[name] || '-', now: versions[name] })))
+  } else {
+    console.log('No versions changed.')
+  }
+}
+
+// The newest version in the range - or the one it names, for a dist-tag (e.x. `latest`).
+function newest({ versions, 'dist-tags': tags = {} }, range) {
+  return tags[range] || maxSatisfying(Object.keys(versions), range)
+}
+
+function writeLockfile(versions) {
+  console.log('\nCreating the lockfile...')
+  fs.removeSync(dir)
+  fs.outputJsonSync(path.join(dir, 'package.json'), { name: 'pinned', private: true, dependencies: versions }, { spaces: 2 })
+  run('npm install --package-lock-only --ignore-scripts --no-audit --no-fund', false, dir)
+  fs.copySync(path.join(dir, 'package-lock.json'), path.join(__dirname, 'files/pinned/npm-lockfile.json'))
+  fs.removeSync(dir)
+}
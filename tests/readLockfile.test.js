@@ -0,0 +1,23 @@
+/*
+  `readLockfile.js` against real pnpm lockfiles. In each fixture the project depends on
+  js-tokens 3.0.2 directly, while `packages` (v6) or `snapshots` (v9) has loose-envify
+  depending on js-tokens 4.0.0 - only the project's own version should be read.
+
+    npm test
+*/
+
+const path = require('path')
+const assert = require('assert')
+const { readLockfile } = require('../modules/readLockfile')
+
+const fixtures = ['pnpm-v6', 'pnpm-v9']
+const expected = {
+  '@types/react': '16.14.0',
+  'js-tokens': '3.0.2',
+  'loose-envify': '1.4.0'
+}
+
+fixtures.forEach(name => {
+  assert.deepStrictEqual(readLockfile(path.join(__dirname, 'fixtures', name), 'pnpm'), expected, name)
+  console.log(`✔ ${name}`)
+})